@@ -6,22 +6,52 @@ import dotenv              from 'dotenv';
 
 import { NonFatalError }   from '@typhonjs-oclif/errors';
 
+import ProcessEnvHandler   from '../../system/handlers/env/ProcessEnvHandler.js';
+import MetaFileRedactor    from '../../system/handlers/file/MetaFileRedactor.js';
+
 /**
  * Provides default handling for TyphonJS dynamic command initialization of flags from Oclif plugins.
  */
 class DynamicCommand extends oclif.Command
 {
+   /**
+    * Associates this command with any error thrown while running the command so that `errorHandler` is able to
+    * include the command flags and config in any crash metafile.
+    *
+    * @param {Error} error - The error thrown.
+    *
+    * @returns {Promise<void>}
+    */
+   async catch(error)
+   {
+      if (typeof error === 'object' && error !== null && !('$$command' in error))
+      {
+         Object.defineProperty(error, '$$command', { value: this, configurable: true });
+      }
+
+      return super.catch(error);
+   }
+
    /**
     * Performs any final steps before the command execution completes. This is useful for logging any data
-    * in response to the `--metafile` flag.
+    * in response to the `--metafile` flag. The process environment is restored to the state captured in `init`.
+    *
+    * @param {Error}    [error] - Any error that occurred running the command.
     */
-   async finally()
+   async finally(error)
    {
-      // Write any log metafiles on finalize.
-      if (globalThis.$$eventbus !== void 0 && typeof this._cliFlags.metafile === 'boolean' &&
-       this._cliFlags.metafile)
+      try
       {
-         await globalThis.$$eventbus.triggerAsync('typhonjs:oclif:system:handler:metafile:write', this);
+         // Write any log metafiles on finalize.
+         if (globalThis.$$eventbus !== void 0 && typeof this._cliFlags.metafile === 'boolean' &&
+          this._cliFlags.metafile)
+         {
+            await globalThis.$$eventbus.triggerAsync('typhonjs:oclif:system:handler:metafile:write', this, { error });
+         }
+      }
+      finally
+      {
+         ProcessEnvHandler.restore();
       }
    }
 
@@ -45,6 +75,37 @@ class DynamicCommand extends oclif.Command
       return this._cliFlags;
    }
 
+   /**
+    * Returns the environment variables added to the process environment from any *.env files.
+    *
+    * @returns {object} Environment variable names to values.
+    */
+   get envFileValues()
+   {
+      return this._envFileValues;
+   }
+
+   /**
+    * Returns the time when the command started initialization.
+    *
+    * @returns {Date} Command start time.
+    */
+   get startTime()
+   {
+      return this._startTime;
+   }
+
+   /**
+    * Returns the source of each parsed CLI flag value. Sources are: `argv`, `env` (shell environment), `env-file`
+    * (*.env file loaded by `--env`), `config` (project config file) or `default`.
+    *
+    * @returns {object} Flag name to source of the flag value.
+    */
+   get flagSources()
+   {
+      return this._flagSources;
+   }
+
    /**
     * Loads all dynamic flags for this command after running any init hook.
     *
@@ -101,11 +162,113 @@ class DynamicCommand extends oclif.Command
    }
 
    /**
-    * Attempts to load environment variables from a *.env file w/ `dotenv`. Many flags have defaults, but also can be
+    * Attempts to load a project config file for the CLI with `cosmiconfig` from the current working directory. Any
+    * config file found provides flag defaults scoped by command. The config file is an object keyed by the flag
+    * command names and the command ID where each entry is an object of flag names to values. Entries for the command
+    * ID take precedence over the flag command names.
+    *
+    * Config file values take precedence over built-in defaults, but not environment variables, *.env files or CLI
+    * arguments. The existing default of each flag is checked first and any value that differs from the default loaded
+    * without environment variables (`context` is `null`) is used; this covers environment variables bound by
+    * FlagHandler and any default function reading the environment. Oclif option flags w/ `env` are read by Oclif
+    * before defaults. Config values are validated like CLI arguments by the flag `options` and `parse` function;
+    * invalid values are ignored w/ a warning.
+    *
+    * Note: If a config file provides any flag defaults the flags are parsed again via `this.parse(CommandClass)`.
+    *
+    * @param {object}   existingFlags - parsed flags from command.
+    *
+    * @param {object}   CommandClass - The actual child command class.
+    *
+    * @param {string[]} commands - The flag command names.
+    *
+    * @returns {object} Either the existing flags if there is no config file to load or the new flags after config
+    * file defaults have been applied.
+    *
+    * @private
+    */
+   async _loadConfigFile(existingFlags = {}, CommandClass, commands)
+   {
+      const config = await globalThis.$$eventbus.triggerAsync('typhonjs:utils:cosmiconfig:config:load:safe', {
+         moduleName: globalThis.$$cli_name,
+         packageName: globalThis.$$cli_name,
+         startDir: globalThis.$$cli_baseCWD,
+         stopDir: globalThis.$$cli_baseCWD
+      });
+
+      if (typeof config !== 'object' || config === null) { return existingFlags; }
+
+      // Merge flag defaults for all flag commands then the command ID.
+      const configFlags = {};
+
+      for (const key of [...commands, this.id])
+      {
+         if (typeof config[key] === 'object' && config[key] !== null) { Object.assign(configFlags, config[key]); }
+      }
+
+      const defaultFlags = {};
+
+      for (const [flagName, value] of Object.entries(configFlags))
+      {
+         const flag = CommandClass.flags[flagName];
+
+         if (typeof flag !== 'object')
+         {
+            globalThis.$$eventbus.trigger('log:warn', `Ignoring unknown flag '${flagName}' in config file.`);
+            continue;
+         }
+
+         const parsedValue = await s_PARSE_CONFIG_VALUE(flag, flagName, value, this);
+
+         if (parsedValue === void 0) { continue; }
+
+         const origDefault = flag.default;
+
+         // Copy the flag so that the flags stored in FlagHandler are not modified. Any value the existing default
+         // resolves from the environment takes precedence over the config file value.
+         defaultFlags[flagName] = {
+            ...flag,
+            default: async function(context)
+            {
+               if (context !== null && typeof origDefault === 'function')
+               {
+                  const envValue = await origDefault(context);
+
+                  if (JSON.stringify(envValue) !== JSON.stringify(await origDefault(null))) { return envValue; }
+               }
+
+               return parsedValue;
+            }
+         };
+      }
+
+      if (Object.keys(defaultFlags).length === 0) { return existingFlags; }
+
+      // Store the flag names provided by the config file for tracking flag sources.
+      this._configFlagNames = new Set(Object.keys(defaultFlags));
+
+      CommandClass.flags = { ...CommandClass.flags, ...defaultFlags };
+
+      // Parse flags again after config file defaults have been applied.
+      return this._parseFlags(CommandClass);
+   }
+
+   /**
+    * Attempts to load environment variables from *.env files w/ `dotenv`. Many flags have defaults, but also can be
     * set with environment variables and this is a convenient way to load many different configurations.
     *
-    * Note: If an environment file is loaded by `dotenv` the flags are parsed again below via
-    * `this.parse(BuildCommand)`.
+    * Multiple environment files may be layered in order as a comma separated list; IE `-e base,ci`. Environment files
+    * are loaded from the `--env-dir` directory (default: `./env`) and cascade in the following order where later files
+    * take precedence:
+    * - `.env` - optional; loaded first when any environment file is requested.
+    * - `<name>.env` - required for each requested name.
+    * - `<name>.local.env` - optional; loaded after each requested name.
+    *
+    * Values may reference other environment variables with `${VAR}` which is interpolated from the existing process
+    * environment or any previously loaded value. Existing process environment variables are never overwritten.
+    *
+    * Note: If any environment file is loaded the flags are parsed again below via `this.parse(CommandClass)` after all
+    * environment files are loaded.
     *
     * @param {object}   existingFlags - parsed flags from command.
     *
@@ -118,57 +281,230 @@ class DynamicCommand extends oclif.Command
     */
    async _loadEnvFile(existingFlags = {}, CommandClass)
    {
-      let output = existingFlags;
+      // Check to see if the `env` flag has been set; if so attempt to load the *.env files and parse the flags again.
+      const envNames = typeof existingFlags.env === 'string' ? existingFlags.env.split(',').map(
+       (envName) => envName.trim()).filter((envName) => envName !== '') : [];
 
-      // Check to see if the `env` flag has been set; if so attempt to load the *.env file and parse the flags again.
-      if (typeof existingFlags.env === 'string')
+      if (envNames.length === 0) { return existingFlags; }
+
+      const envDir = typeof existingFlags['env-dir'] === 'string' ? existingFlags['env-dir'] : 'env';
+
+      // Build the ordered list of environment files to load.
+      const envFiles = [{ filename: '.env', optional: true }];
+
+      for (const envName of envNames)
+      {
+         envFiles.push({ filename: `${envName}.env`, optional: false });
+         envFiles.push({ filename: `${envName}.local.env`, optional: true });
+      }
+
+      // Stores all values parsed from environment files; later files take precedence.
+      const envValues = {};
+
+      for (const envFile of envFiles)
       {
-         // By default the environment variables will always be stored in `./env`
-         const envFilePath = `${globalThis.$$cli_baseCWD}${path.sep}env${path.sep}${existingFlags.env}.env`;
+         const envFilePath = path.resolve(globalThis.$$cli_baseCWD, envDir, envFile.filename);
 
-         const logEnvFilePath = `${globalThis.$$cli_logCWD}${path.sep}env${path.sep}${existingFlags.env}.env`;
+         const logEnvFilePath = path.isAbsolute(envDir) ? envFilePath :
+          `${globalThis.$$cli_logCWD}${path.sep}${envDir}${path.sep}${envFile.filename}`;
 
-         // Exit gracefully if the environment file could not be found.
          if (!fs.existsSync(envFilePath))
          {
-            this.error(`Could not find specified environment file: \n'${logEnvFilePath}'`);
+            // Exit gracefully if a requested environment file could not be found.
+            if (!envFile.optional)
+            {
+               this.error(`Could not find specified environment file: \n'${logEnvFilePath}'`);
+               this.exit(1);
+            }
+
+            continue;
+         }
+
+         globalThis.$$eventbus.trigger('log:verbose', `Loading environment variables from: \n${logEnvFilePath}`);
+
+         let parsed;
+
+         try
+         {
+            parsed = dotenv.parse(fs.readFileSync(envFilePath));
+         }
+         catch (err)
+         {
+            this.error(`An error occurred with 'dotenv' when loading environment file: \n'${logEnvFilePath}'\n` +
+             `${err.message}`);
             this.exit(1);
          }
-         else
+
+         for (const [key, value] of Object.entries(parsed))
+         {
+            envValues[key] = s_INTERPOLATE_ENV(value, envValues);
+         }
+      }
+
+      // Detect which new environment keys are added; existing process environment variables are not overwritten.
+      globalThis.$$process_env_key_change = Object.keys(envValues).filter((key) => !(key in process.env));
+
+      for (const key of globalThis.$$process_env_key_change)
+      {
+         process.env[key] = this._envFileValues[key] = envValues[key];
+      }
+
+      // Parse flags again after environment variables have been loaded.
+      return this._parseFlags(CommandClass);
+   }
+
+   /**
+    * Loads the flags and any *.env file values stored in the metafile archive given by the `--replay` flag to reproduce
+    * a previous command run. Stored flags that were not set from a default are prepended to the CLI arguments and
+    * stored *.env file values are added to the process environment. Flags provided on the command line take
+    * precedence. The `cwd`, `env`, `env-dir`, logfile and metafile flags are not replayed allowing the run to be
+    * reproduced in a chosen working directory. Redacted values are not replayed; disable the `redactEnvFile` redaction
+    * option to store *.env file values in archives.
+    *
+    * Any differences between the CLI version or plugins recorded in the archive manifest and the current runtime are
+    * logged before replaying.
+    *
+    * @param {object}   existingFlags - parsed flags from command.
+    *
+    * @param {object}   CommandClass - The actual child command class.
+    *
+    * @returns {object} Either the existing flags if there is no replay archive or the new flags after the stored flags
+    * and environment variables have been loaded.
+    *
+    * @private
+    */
+   async _loadReplay(existingFlags = {}, CommandClass)
+   {
+      if (typeof existingFlags.replay !== 'string') { return existingFlags; }
+
+      const archivePath = path.resolve(globalThis.$$cli_origCWD, existingFlags.replay);
+
+      if (!fs.existsSync(archivePath))
+      {
+         throw new NonFatalError(`Could not find replay metafile archive:\n${archivePath}`);
+      }
+
+      let metafiles;
+
+      try
+      {
+         metafiles = await globalThis.$$eventbus.triggerAsync('typhonjs:oclif:system:handler:metafile:read',
+          archivePath, ['manifest.json', 'cli-flags.json', 'cli-flag-sources.json', 'env-file-values.json']);
+      }
+      catch (err)
+      {
+         throw new NonFatalError(`Could not read replay metafile archive:\n${archivePath}\n${err.message}`);
+      }
+
+      const storedFlags = metafiles?.['cli-flags.json'];
+
+      if (typeof storedFlags !== 'object' || storedFlags === null)
+      {
+         throw new NonFatalError(`Replay metafile archive does not contain 'cli-flags.json':\n${archivePath}`);
+      }
+
+      s_LOG_REPLAY_DIFFERENCES(metafiles['manifest.json'], this.id);
+
+      const storedSources = metafiles['cli-flag-sources.json'] || {};
+
+      const replayArgv = [];
+      const redacted = [];
+
+      for (const [flagName, value] of Object.entries(storedFlags))
+      {
+         if (s_REPLAY_IGNORED_FLAGS.includes(flagName) || flagName.startsWith('logfile') ||
+          flagName.startsWith('metafile'))
+         {
+            continue;
+         }
+
+         if (storedSources[flagName] === 'default') { continue; }
+
+         const flag = CommandClass.flags[flagName];
+
+         if (typeof flag !== 'object')
          {
-            globalThis.$$eventbus.trigger('log:verbose', `Loading environment variables from: \n${logEnvFilePath}`);
+            globalThis.$$eventbus.trigger('log:warn', `Ignoring unknown flag '${flagName}' in replay metafile archive.`);
+            continue;
+         }
+
+         // Flags provided on the command line take precedence.
+         if (s_IN_ARGV(this.argv, flagName, flag.char)) { continue; }
+
+         const values = Array.isArray(value) ? value : [value];
 
-            // Store current environment variable keys.
-            const beforeEnvKeys = Object.keys(process.env);
+         if (values.includes(MetaFileRedactor.REDACTED))
+         {
+            redacted.push(`--${flagName}`);
+            continue;
+         }
 
-            // Potentially load environment variables from a *.env file.
-            const env = dotenv.config({ path: envFilePath });
+         if (flag.type === 'boolean')
+         {
+            if (value === true) { replayArgv.push(`--${flagName}`); }
+            else if (flag.allowNo) { replayArgv.push(`--no-${flagName}`); }
+            continue;
+         }
+
+         for (const entry of values) { replayArgv.push(`--${flagName}=${entry}`); }
+      }
 
-            // Detect which new environment keys were added.
-            globalThis.$$process_env_key_change = Object.keys(process.env).filter((x) => !beforeEnvKeys.includes(x));
+      // Add any stored *.env file values; existing process environment variables are not overwritten.
+      const envFileValues = metafiles['env-file-values.json'];
 
-            if (env.error)
+      if (typeof envFileValues === 'object' && envFileValues !== null)
+      {
+         globalThis.$$process_env_key_change = [];
+
+         for (const [key, value] of Object.entries(envFileValues))
+         {
+            if (typeof value !== 'string' || key in process.env) { continue; }
+
+            if (value === MetaFileRedactor.REDACTED)
             {
-               this.error(`An error occurred with 'dotenv' when loading environment file: \n${env.error.message}`);
-               this.exit(1);
+               redacted.push(key);
+               continue;
             }
 
-            // Parse flags again after environment variables have been loaded.
-            const { flags } = await this.parse(CommandClass);
-            output = flags;
+            process.env[key] = this._envFileValues[key] = value;
+            globalThis.$$process_env_key_change.push(key);
          }
       }
 
-      return output;
+      if (redacted.length > 0)
+      {
+         globalThis.$$eventbus.trigger('log:warn',
+          `Skipping redacted values in replay metafile archive: ${redacted.join(', ')}`);
+      }
+
+      globalThis.$$eventbus.trigger('log:info', `Replaying '${this.id}' from metafile archive:\n${archivePath}\n` +
+       `${replayArgv.length > 0 ? replayArgv.join(' ') : '(no stored flags)'}`);
+
+      this.argv = [...replayArgv, ...this.argv];
+
+      // Parse flags again after stored flags and environment variables have been loaded.
+      return this._parseFlags(CommandClass);
    }
 
    /**
     * Performs all initialization, loading of flags from *.env file via dotenv and verification of flags.
+    *
+    * A snapshot of the process environment is captured before initialization and restored in `finally`.
     */
    async init()
    {
+      this._startTime = new Date();
+
+      ProcessEnvHandler.capture();
+
+      // Reset the environment variable keys added from any *.env file by a previous command run.
+      globalThis.$$process_env_key_change = [];
+
       this._cliFlags = {};
       this._commandData = {};
+      this._configFlagNames = new Set();
+      this._envFileValues = {};
+      this._flagSources = {};
 
       const commandData = this.constructor._dynamicCommand;
 
@@ -212,6 +548,14 @@ class DynamicCommand extends oclif.Command
 
          results += `${localStringNoop !== '' ? '\n' : ''}${localStringNoop}`;
 
+         const flagSources = Object.entries(this._flagSources);
+
+         if (flagSources.length > 0)
+         {
+            results += `${results.endsWith('\n') ? '' : '\n'}Flag sources:\n`;
+            results += flagSources.map(([flagName, source]) => `   --${flagName}: ${source}\n`).join('');
+         }
+
          results += `-----------------------------------`;
 
          throw new NonFatalError(results, 'info:raw');
@@ -221,6 +565,9 @@ class DynamicCommand extends oclif.Command
    /**
     * Performs all initialization, loading of flags from *.env file via dotenv and verification of flags.
     *
+    * Flag values are resolved in the following precedence: CLI argument > environment variable > *.env file >
+    * config file > built-in default.
+    *
     * @param {string[]} commands - The actual command names.
     *
     * @returns {object} Parsed and verified flags.
@@ -236,8 +583,23 @@ class DynamicCommand extends oclif.Command
       // Dynamically load flags for the command from oclif-flaghandler.
       CommandClass.flags = eventbus.triggerSync('typhonjs:oclif:system:handler:flag:get', { commands });
 
-      // Perform the first stage of parsing flags. This is
-      let { flags } = await this.parse(CommandClass);
+      // Expand `--metafile=<path>` to `--metafile --metafile-dest <path>` when both flags are available.
+      if ('metafile' in CommandClass.flags && 'metafile-dest' in CommandClass.flags)
+      {
+         this.argv = s_EXPAND_OPTIONAL_VALUE_ARG(this.argv, 'metafile', 'metafile-dest');
+      }
+
+      // Expand `--logfile=<path>` to `--logfile --logfile-path <path>` when both flags are available.
+      if ('logfile' in CommandClass.flags && 'logfile-path' in CommandClass.flags)
+      {
+         this.argv = s_EXPAND_OPTIONAL_VALUE_ARG(this.argv, 'logfile', 'logfile-path');
+      }
+
+      // Perform the first stage of parsing flags. Flags are parsed again after any replay, config or *.env values load.
+      let flags = await this._parseFlags(CommandClass);
+
+      // Load any stored flags and environment variables from a metafile archive to replay a previous command run.
+      flags = await this._loadReplay(flags, CommandClass);
 
       // Notify that the current working directory is being changed and verify that the new directory exists.
       if (typeof flags.cwd === 'string' && flags.cwd !== '.')
@@ -257,11 +619,32 @@ class DynamicCommand extends oclif.Command
          }
       }
 
+      // Attempt to load any project config file providing flag defaults and reload / update flags accordingly.
+      flags = await this._loadConfigFile(flags, CommandClass, commands);
+
       // Attempt to parse any environment variables via dotenv if applicable and reload / update flags accordingly.
       flags = await this._loadEnvFile(flags, CommandClass);
 
-      // Verify flags given any plugin provided verify functions in FlagHandler.
-      eventbus.triggerSync('typhonjs:oclif:system:handler:flag:verify', { commands, flags });
+      // Record where each final flag value came from.
+      this._flagSources = this._resolveFlagSources(flags, CommandClass);
+
+      // Start any file logging before flags are verified so that all further log output for the command is captured.
+      if (typeof flags.logfile === 'boolean' && flags.logfile)
+      {
+         const filepath = eventbus.triggerSync('typhonjs:oclif:system:handler:log:file:start', {
+            filepath: typeof flags['logfile-path'] === 'string' ?
+             path.resolve(globalThis.$$cli_baseCWD, flags['logfile-path']) : void 0,
+            format: flags['logfile-format'],
+            level: flags['logfile-level'],
+            maxSize: flags['logfile-max-size'],
+            commandId: this.id
+         });
+
+         eventbus.trigger('log:verbose', `Writing log file to:\n${filepath}`);
+      }
+
+      // Verify flags given any plugin provided verify functions in FlagHandler. All problems are reported together.
+      await eventbus.triggerAsync('typhonjs:oclif:system:handler:flag:verify:async', { commands, flags });
 
       // Be sure to log after flags are verified and any log level is set for CWD.
       if (typeof flags.cwd === 'string' && flags.cwd !== '.')
@@ -273,6 +656,73 @@ class DynamicCommand extends oclif.Command
       return flags;
    }
 
+   /**
+    * Parses flags for the command storing the Oclif parse metadata used to determine flag sources.
+    *
+    * @param {object}   CommandClass - The actual child command class.
+    *
+    * @returns {Promise<object>} Parsed flags.
+    *
+    * @private
+    */
+   async _parseFlags(CommandClass)
+   {
+      const { flags, metadata } = await this.parse(CommandClass);
+
+      this._flagsMetadata = metadata;
+
+      return flags;
+   }
+
+   /**
+    * Determines the source of each parsed flag value from the last parse metadata, any bound environment variables,
+    * environment variables added from a *.env file and flags provided by a config file.
+    *
+    * @param {object}   flags - Final parsed flags.
+    *
+    * @param {object}   CommandClass - The actual child command class.
+    *
+    * @returns {object} Flag name to source of the flag value.
+    *
+    * @private
+    */
+   _resolveFlagSources(flags, CommandClass)
+   {
+      const flagSources = {};
+
+      const metadataFlags = this._flagsMetadata?.flags || {};
+
+      const envFileKeys = Array.isArray(globalThis.$$process_env_key_change) ? globalThis.$$process_env_key_change :
+       [];
+
+      for (const flagName of Object.keys(flags))
+      {
+         const flag = CommandClass.flags[flagName] || {};
+
+         // Flag bound to an environment variable by FlagHandler or an Oclif option flag reading `env` directly.
+         const envVar = typeof flag.$$envVar === 'string' ? flag.$$envVar : flag.env;
+
+         const envSource = envFileKeys.includes(envVar) ? 'env-file' : 'env';
+
+         if (!metadataFlags[flagName]?.setFromDefault)
+         {
+            // Oclif reads option flag `env` variables directly so check that the flag is not in argv.
+            flagSources[flagName] = typeof flag.env === 'string' && typeof process.env[flag.env] === 'string' &&
+             !s_IN_ARGV(this.argv, flagName, flag.char) ? envSource : 'argv';
+         }
+         else if (typeof envVar === 'string' && typeof process.env[envVar] === 'string')
+         {
+            flagSources[flagName] = envSource;
+         }
+         else
+         {
+            flagSources[flagName] = this._configFlagNames.has(flagName) ? 'config' : 'default';
+         }
+      }
+
+      return flagSources;
+   }
+
    /**
     * Provides the base method to be overridden to provide per command implementation details.
     *
@@ -287,7 +737,200 @@ class DynamicCommand extends oclif.Command
 DynamicCommand._metaFileData = [
    { key: 'config', filename: 'oclif.config.json' },
    { key: 'cliFlags', filename: 'cli-flags.json' },
-   { key: 'commandData', filename: 'command-data.json' }
+   { key: 'flagSources', filename: 'cli-flag-sources.json' },
+   { key: 'commandData', filename: 'command-data.json' },
+   { key: 'envFileValues', filename: 'env-file-values.json' }
 ];
 
 export default DynamicCommand;
+
+/**
+ * Flags that are not replayed from a metafile archive. Logfile and metafile flags are also not replayed.
+ *
+ * @type {string[]}
+ */
+const s_REPLAY_IGNORED_FLAGS = ['cwd', 'env', 'env-dir', 'replay'];
+
+/**
+ * Expands any `--<flag>=<value>` argument to `--<flag> --<valueFlag> <value>` as Oclif does not support boolean
+ * flags w/ an optional value; IE `--metafile=<path>` to `--metafile --metafile-dest <path>`.
+ *
+ * @param {string[]} argv - CLI arguments.
+ *
+ * @param {string}   flagName - The boolean flag name.
+ *
+ * @param {string}   valueFlagName - The flag name receiving the value.
+ *
+ * @returns {string[]} CLI arguments w/ any matching argument expanded.
+ */
+function s_EXPAND_OPTIONAL_VALUE_ARG(argv = [], flagName, valueFlagName)
+{
+   // Do not expand any arguments after the `--` argument terminator.
+   const terminator = argv.indexOf('--');
+
+   const prefix = `--${flagName}=`;
+
+   return argv.flatMap((arg, index) => (terminator < 0 || index < terminator) && arg.startsWith(prefix) ?
+    [`--${flagName}`, `--${valueFlagName}`, arg.slice(prefix.length)] : [arg]);
+}
+
+/**
+ * Interpolates `${VAR}` references in an environment file value. The existing process environment takes precedence
+ * over previously loaded environment file values. Unresolved references are replaced with an empty string.
+ *
+ * @param {string}   value - The value to interpolate.
+ *
+ * @param {object}   envValues - Previously loaded environment file values.
+ *
+ * @returns {string} Interpolated value.
+ */
+function s_INTERPOLATE_ENV(value, envValues)
+{
+   return value.replace(/\${([^}]+)}/g, (match, key) =>
+   {
+      if (typeof process.env[key] === 'string') { return process.env[key]; }
+
+      return typeof envValues[key] === 'string' ? envValues[key] : '';
+   });
+}
+
+/**
+ * Validates and parses a config file flag value like a CLI argument. Boolean flags require a boolean value. Option
+ * flags accept strings, numbers or for flags accepting multiple values an array of them; each entry is checked against
+ * any flag `options` then passed through the flag `parse` function.
+ *
+ * @param {object}   flag - The flag.
+ *
+ * @param {string}   flagName - The flag name.
+ *
+ * @param {*}        value - The config file value.
+ *
+ * @param {object}   context - The command passed as parse context.
+ *
+ * @returns {Promise<*>} The parsed value or undefined if the value is not valid for the flag.
+ */
+async function s_PARSE_CONFIG_VALUE(flag, flagName, value, context)
+{
+   if (flag.type === 'boolean')
+   {
+      if (typeof value === 'boolean') { return typeof flag.parse === 'function' ? flag.parse(value, context) : value; }
+
+      globalThis.$$eventbus.trigger('log:warn',
+       `Ignoring config file flag '${flagName}' as '${JSON.stringify(value)}' is not a boolean.`);
+
+      return void 0;
+   }
+
+   const entries = flag.multiple && Array.isArray(value) ? value : [value];
+
+   const parsed = [];
+
+   for (const entry of entries)
+   {
+      if (typeof entry !== 'string' && typeof entry !== 'number')
+      {
+         globalThis.$$eventbus.trigger('log:warn',
+          `Ignoring config file flag '${flagName}' as '${JSON.stringify(value)}' is not a string or number.`);
+         return void 0;
+      }
+
+      const input = String(entry);
+
+      if (Array.isArray(flag.options) && !flag.options.includes(input))
+      {
+         globalThis.$$eventbus.trigger('log:warn', `Ignoring config file flag '${flagName}' as '${input}' is not ` +
+          `one of: ${flag.options.join(', ')}.`);
+         return void 0;
+      }
+
+      try
+      {
+         parsed.push(typeof flag.parse === 'function' ? await flag.parse(input, context) : input);
+      }
+      catch (err)
+      {
+         globalThis.$$eventbus.trigger('log:warn', `Ignoring config file flag '${flagName}': ${err.message}`);
+         return void 0;
+      }
+   }
+
+   return flag.multiple ? parsed : parsed[0];
+}
+
+/**
+ * Logs any differences between the CLI, command and plugins recorded in a metafile archive manifest and the current
+ * runtime.
+ *
+ * @param {object}   manifest - Metafile archive manifest.
+ *
+ * @param {string}   commandId - The current command ID.
+ */
+function s_LOG_REPLAY_DIFFERENCES(manifest, commandId)
+{
+   if (typeof manifest !== 'object' || manifest === null)
+   {
+      globalThis.$$eventbus.trigger('log:warn',
+       `Replay metafile archive does not contain 'manifest.json'; unable to compare runtime.`);
+      return;
+   }
+
+   const differences = [];
+
+   if (manifest.cli?.name !== globalThis.$$cli_name || manifest.cli?.version !== globalThis.$$cli_version)
+   {
+      differences.push(`CLI: ${manifest.cli?.name}@${manifest.cli?.version} -> ` +
+       `${globalThis.$$cli_name}@${globalThis.$$cli_version}`);
+   }
+
+   if (typeof manifest.command?.id === 'string' && manifest.command.id !== commandId)
+   {
+      differences.push(`command: ${manifest.command.id} -> ${commandId}`);
+   }
+
+   const storedPlugins = new Map((Array.isArray(manifest.plugins) ? manifest.plugins : []).map(
+    (plugin) => [plugin.name, plugin.target]));
+
+   const currentPlugins = new Map(globalThis.$$pluginManager !== void 0 ?
+    globalThis.$$pluginManager.getPluginData().map((pluginData) => [pluginData.plugin.name, pluginData.plugin.target]) :
+     []);
+
+   for (const [name, target] of storedPlugins)
+   {
+      if (!currentPlugins.has(name))
+      {
+         differences.push(`plugin removed: ${name}`);
+      }
+      else if (currentPlugins.get(name) !== target)
+      {
+         differences.push(`plugin changed: ${name} (${target} -> ${currentPlugins.get(name)})`);
+      }
+   }
+
+   for (const name of currentPlugins.keys())
+   {
+      if (!storedPlugins.has(name)) { differences.push(`plugin added: ${name}`); }
+   }
+
+   if (differences.length > 0)
+   {
+      globalThis.$$eventbus.trigger('log:warn', `Replay metafile archive differs from the current runtime:\n` +
+       `${differences.map((difference) => `- ${difference}`).join('\n')}`);
+   }
+}
+
+/**
+ * Determines if a flag is present in the given CLI arguments.
+ *
+ * @param {string[]} argv - CLI arguments.
+ *
+ * @param {string}   flagName - The long flag name.
+ *
+ * @param {string}   [char] - Any shorthand alias.
+ *
+ * @returns {boolean} Whether the flag is present.
+ */
+function s_IN_ARGV(argv = [], flagName, char)
+{
+   return argv.some((arg) => arg === `--${flagName}` || arg.startsWith(`--${flagName}=`) ||
+    (typeof char === 'string' && arg.startsWith(`-${char}`)));
+}
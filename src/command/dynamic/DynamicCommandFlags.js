@@ -7,6 +7,8 @@ import { NonFatalError }   from '@typhonjs-oclif/errors';
 
 import defaultLogLevel     from '../../data/defaultLogLevel.js';
 
+import OutputModeHandler   from '../../system/handlers/log/OutputModeHandler.js';
+
 /**
  * Defines standard CLI command flags.
  */
@@ -16,12 +18,51 @@ export default class DynamicCommandFlags
     * Defines standard flags shared across multiple commands.
     *
     * Added flags include:
-    * `--cwd`       -      - Use an alternative working directory.      - default: `'.'`     - env: {prefix}_CWD
-    * `--env`       - `-e` - Name of *.env file to load from `./env`.
-    * `--loglevel`  -      - Sets log level.                            - default: `'info'`  - env: {prefix}_LOG_LEVEL
-    * `--metafile`  -      - Archives CLI runtime metafiles.            - default: `false`  -
-    * `--no-color`  -      - Output and log with no color.              - default: `false`   -
-    * `--noop`      -      - Prints essential bundling info and exits.  - default: `false`   -
+    * `--cwd`                -      - Use an alternative working directory.      - default: `'.'`
+    *                                  - env: {prefix}_CWD
+    * `--env`                - `-e` - Name of *.env file(s) to load from `./env`.
+    *                                  - `-e base,ci` layers multiple *.env files in order.
+    * `--env-dir`            -      - Directory to load *.env files from.        - default: `'env'`
+    *                                  - env: {prefix}_ENV_DIR
+    * `--error-format`       -      - Error output format (text, json).          - default: `'text'`
+    *                                  - env: {prefix}_ERROR_FORMAT
+    * `--logfile`            -      - Writes log output to a file.               - default: `false`
+    *                                  - `--logfile=<path>` is shorthand for `--logfile --logfile-path <path>`.
+    *                                  - env: {prefix}_LOGFILE
+    * `--logfile-path`       -      - Log file path.                             - default: `<log dir>/<cli>.log`
+    *                                  - env: {prefix}_LOGFILE_PATH
+    * `--logfile-format`     -      - Log file format (text, ndjson).            - default: `'text'`
+    *                                  - env: {prefix}_LOGFILE_FORMAT
+    * `--logfile-level`      -      - Log file log level.                        - default: `'debug'`
+    *                                  - env: {prefix}_LOGFILE_LEVEL
+    * `--logfile-max-size`   -      - Max log file size in MB before rotating.   - default: `10`
+    *                                  - env: {prefix}_LOGFILE_MAX_SIZE
+    * `--loglevel`           -      - Sets log level.                            - default: `'info'`
+    *                                  - `--loglevel info,rollup=debug` sets log levels per namespace.
+    *                                  - env: {prefix}_LOG_LEVEL
+    * `--metafile`           -      - Archives CLI runtime metafiles.            - default: `false`
+    *                                  - `--metafile=<path>` is shorthand for `--metafile --metafile-dest <path>`.
+    * `--metafile-dest`      -      - Destination directory of metafiles.        - default: CLI log directory
+    *                                  - env: {prefix}_METAFILE_DEST
+    * `--metafile-format`    -      - Metafile format (zip, tar.gz, dir).        - default: `zip` / `tar.gz`
+    *                                  - env: {prefix}_METAFILE_FORMAT
+    * `--metafile-name`      -      - Metafile name template.                    - default: `'logs_{time}'`
+    *                                  - env: {prefix}_METAFILE_NAME
+    * `--metafile-max-age`   -      - Max age in days of metafile archives.      - default: `30`
+    *                                  - env: {prefix}_METAFILE_MAX_AGE
+    * `--metafile-max-count` -      - Max number of metafile archives.           - default: `20`
+    *                                  - env: {prefix}_METAFILE_MAX_COUNT
+    * `--metafile-max-size`  -      - Max total size in MB of metafile archives. - default: `100`
+    *                                  - env: {prefix}_METAFILE_MAX_SIZE
+    * `--no-color`           -      - Output and log with no color.              - default: `false`
+    *                                  - `NO_COLOR`, `FORCE_COLOR` & TTY detection apply when not set.
+    *                                  - env: {prefix}_NO_COLOR; like `NO_COLOR` any non-empty value.
+    * `--noop`               -      - Prints essential bundling info and exits.  - default: `false`
+    * `--quiet`              -      - Suppresses all log output below warnings.  - default: `false`
+    *                                  - env: {prefix}_QUIET
+    * `--replay`             -      - Replays a command run from a metafile.
+    *
+    * Environment variables are bound through the `env` property which is handled by FlagHandler.
     *
     * @returns {object} Standard flags
     */
@@ -32,51 +73,128 @@ export default class DynamicCommandFlags
       return {
          cwd: oclif.Flags.string({
             description: 'Use an alternative working directory.',
-            default: function(context)
-            {
-               const envVars = context === null ? {} : process.env;
-               const envVar = `${envVarPrefix}_CWD`;
+            env: `${envVarPrefix}_CWD`,
+            default: '.'
+         }),
 
-               if (typeof envVars[envVar] === 'string') { return envVars[envVar]; }
+         env: oclif.Flags.string({
+            char: 'e',
+            description: 'Name of *.env file to load from `./env`; use a comma separated list to layer multiple files in ' +
+             'order; IE `base,ci`.'
+         }),
 
-               return '.';
-            }
+         'env-dir': oclif.Flags.string({
+            description: 'Directory to load *.env files from.',
+            env: `${envVarPrefix}_ENV_DIR`,
+            default: 'env'
          }),
 
-         env: oclif.Flags.string({ char: 'e', description: 'Name of *.env file to load from `./env`.' }),
+         'error-format': oclif.Flags.string({
+            description: 'Error output format; `json` writes a single JSON object describing any error to stderr.',
+            options: ['text', 'json'],
+            env: `${envVarPrefix}_ERROR_FORMAT`,
+            default: 'text'
+         }),
 
-         loglevel: oclif.Flags.string({
-            description: 'Sets log level (off, fatal, error, warn, info, verbose, debug, trace, all).',
-            default: function(context)
-            {
-               const envVars = context === null ? {} : process.env;
-               const envVar = `${envVarPrefix}_LOG_LEVEL`;
+         logfile: oclif.Flags.boolean({
+            description: `Writes log output to a file in: ${globalThis.$$cli_log_dir} or '--logfile=<path>'.`,
+            env: `${envVarPrefix}_LOGFILE`,
+            default: false
+         }),
 
-               if (typeof envVars[envVar] === 'string') { return envVars[envVar]; }
+         'logfile-path': oclif.Flags.string({
+            description: 'Log file path.',
+            env: `${envVarPrefix}_LOGFILE_PATH`
+         }),
 
-               return defaultLogLevel;
-            }
+         'logfile-format': oclif.Flags.string({
+            description: 'Log file format; `ndjson` writes one JSON object per line.',
+            options: ['text', 'ndjson'],
+            env: `${envVarPrefix}_LOGFILE_FORMAT`,
+            default: 'text'
+         }),
+
+         'logfile-level': oclif.Flags.string({
+            description: 'Log file log level independent of the console log level.',
+            options: ['fatal', 'error', 'warn', 'info', 'verbose', 'debug', 'trace', 'all'],
+            env: `${envVarPrefix}_LOGFILE_LEVEL`,
+            default: 'debug'
+         }),
+
+         'logfile-max-size': oclif.Flags.integer({
+            description: 'Rotates the log file beyond the given size in MB (0 disables).',
+            env: `${envVarPrefix}_LOGFILE_MAX_SIZE`,
+            default: 10
+         }),
+
+         loglevel: oclif.Flags.string({
+            description: 'Sets log level (off, fatal, error, warn, info, verbose, debug, trace, all); add ' +
+             '`<namespace>=<level>` entries to set levels per namespace; IE `info,rollup=debug`.',
+            env: `${envVarPrefix}_LOG_LEVEL`,
+            default: defaultLogLevel
          }),
 
          metafile: oclif.Flags.boolean({
-            description: `Archives CLI runtime metafiles in: ${globalThis.$$cli_log_dir}.`,
+            description: `Archives CLI runtime metafiles in: ${globalThis.$$cli_log_dir} or '--metafile=<path>'.`,
             default: false
          }),
 
+         'metafile-dest': oclif.Flags.string({
+            description: 'Destination directory for metafile archives.',
+            env: `${envVarPrefix}_METAFILE_DEST`
+         }),
+
+         'metafile-format': oclif.Flags.string({
+            description: 'Metafile archive format; `dir` writes a plain directory.',
+            options: ['zip', 'tar.gz', 'dir'],
+            env: `${envVarPrefix}_METAFILE_FORMAT`,
+            default: () => process.platform === 'win32' ? 'zip' : 'tar.gz'
+         }),
+
+         'metafile-name': oclif.Flags.string({
+            description: 'Metafile archive name template w/ optional {time}, {command} and {uuid} tokens.',
+            env: `${envVarPrefix}_METAFILE_NAME`,
+            default: 'logs_{time}'
+         }),
+
+         'metafile-max-age': oclif.Flags.integer({
+            description: 'Removes metafile archives older than the given number of days (0 disables).',
+            env: `${envVarPrefix}_METAFILE_MAX_AGE`,
+            default: 30
+         }),
+
+         'metafile-max-count': oclif.Flags.integer({
+            description: 'Removes the oldest metafile archives beyond the given count (0 disables).',
+            env: `${envVarPrefix}_METAFILE_MAX_COUNT`,
+            default: 20
+         }),
+
+         'metafile-max-size': oclif.Flags.integer({
+            description: 'Removes the oldest metafile archives beyond the given total size in MB (0 disables).',
+            env: `${envVarPrefix}_METAFILE_MAX_SIZE`,
+            default: 100
+         }),
+
          'no-color': oclif.Flags.boolean({
             description: 'Output and log with no color.',
-            default: function(context)
-            {
-               const envVars = context === null ? {} : process.env;
-               const envVar = `${envVarPrefix}_NO_COLOR`;
-
-               return typeof envVars[envVar] === 'string';
-            }
+            env: `${envVarPrefix}_NO_COLOR`,
+            envParse: (value) => OutputModeHandler.isNoColorValue(value) ? true : void 0,
+            default: false
          }),
 
          noop: oclif.Flags.boolean({
             description: 'Prints info on any FVTT module / system detected and exits w/ no operation.',
             default: false
+         }),
+
+         quiet: oclif.Flags.boolean({
+            description: 'Suppresses all log output below warnings.',
+            env: `${envVarPrefix}_QUIET`,
+            default: false
+         }),
+
+         replay: oclif.Flags.string({
+            description: 'Replays the flags and *.env file values stored in a metafile archive; combine w/ `--cwd`.'
          })
       };
    }
@@ -92,17 +210,45 @@ export default class DynamicCommandFlags
       {
          const logLevels = ['off', 'fatal', 'error', 'warn', 'info', 'verbose', 'debug', 'trace', 'all'];
 
-         // Log a warning if requested log level is unknown.
-         if (!logLevels.includes(flags.loglevel))
-         {
-            globalThis.$$eventbus.trigger('log:warn', `Unknown log level: '${flags.loglevel}'.`);
-         }
-         else
+         const namespaces = globalThis.$$eventbus.triggerSync('typhonjs:oclif:system:handler:log:namespace:get:all') ||
+          [];
+
+         const namespaceLevels = {};
+
+         // Entries are comma separated; `<level>` sets the global log level and `<namespace>=<level>` a namespace level.
+         for (const entry of flags.loglevel.split(',').map((value) => value.trim()).filter((value) => value !== ''))
          {
-            globalThis.$$eventbus.trigger('log:level:set', flags.loglevel);
+            const index = entry.indexOf('=');
+
+            const namespace = index >= 0 ? entry.slice(0, index).trim().toLowerCase() : void 0;
+            const level = index >= 0 ? entry.slice(index + 1).trim() : entry;
+
+            // Log a warning if requested log level is unknown.
+            if (!logLevels.includes(level))
+            {
+               globalThis.$$eventbus.trigger('log:warn', `Unknown log level: '${level}'.`);
+            }
+            else if (namespace === void 0)
+            {
+               globalThis.$$eventbus.trigger('log:level:set', level);
+            }
+            else if (!namespaces.includes(namespace))
+            {
+               globalThis.$$eventbus.trigger('log:warn', `Unknown log namespace: '${namespace}'.`);
+            }
+            else
+            {
+               namespaceLevels[namespace] = level;
+            }
          }
+
+         globalThis.$$eventbus.trigger('typhonjs:oclif:system:handler:log:namespace:levels:set', namespaceLevels);
       }
 
+      // Apply the output mode after the log level is set as quiet mode may lower the log level.
+      globalThis.$$eventbus.trigger('typhonjs:oclif:system:handler:output:mode:set',
+       { noColor: flags['no-color'] === true, quiet: flags.quiet === true });
+
       // Notify that the current working directory is being changed and verify that the new directory exists.
       if (typeof flags.cwd === 'string' && flags.cwd !== '.')
       {
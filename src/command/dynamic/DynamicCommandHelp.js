@@ -1,12 +1,126 @@
 import * as Interfaces  from '@oclif/core/lib/interfaces/index.js';  // eslint-disable-line no-unused-vars
 
 import oclif            from '@oclif/core';
+import OclifCommandHelp from '@oclif/core/lib/help/command.js';
+
+import DynamicCommandFlags from './DynamicCommandFlags.js';
+
+import MetaFileRedactor from '../../system/handlers/file/MetaFileRedactor.js';
+
+/**
+ * Stores the error message by command ID of commands that failed to load.
+ *
+ * @type {Map<string, string>}
+ */
+const s_FAILED_SUMMARIES = new Map();
+
+/**
+ * Stores the `<hook>:<command ID>` keys of init hooks already run while loading help so that hooks are run once.
+ *
+ * @type {Set<string>}
+ */
+const s_HOOKS_RUN = new Set();
+
+/**
+ * Caches the plugin flag summary by command ID for overviews; `null` for commands which are not dynamic commands.
+ *
+ * @type {Map<string, Array<{pluginName: string, flagCount: number}>|null>}
+ */
+const s_SUMMARY_CACHE = new Map();
 
 /**
  * Provides functionality to load flags from DynamicCommand asynchronously so that they appear in help.
+ *
+ * Dynamic flags are shown grouped under a heading for each plugin that added the flags through FlagHandler. Any bound
+ * environment variable is appended to the flag description and defaults are the current effective defaults including
+ * any environment variable values. The defaults of flags marked `secret` are masked. `--help --json` prints the same data as a single JSON document; root help of a CLI
+ * w/ a default command includes the default command help under `defaultCommand`.
+ *
+ * Root and topic help also load dynamic command data for the listed commands. Each init hook is run once per command
+ * and the results are cached for the process only as plugins may register flags depending on the current working
+ * directory. Command listings show the number of flags each command gains from plugins beyond the standard
+ * DynamicCommandFlags. Any dynamic command w/o plugin flags is marked unavailable and any command that failed to load
+ * is marked as failed.
  */
 export default class DynamicCommandHelp extends oclif.Help
 {
+   /**
+    * @param {Interfaces.Config} config - The Oclif config.
+    *
+    * @param {object}            [opts] - Help options.
+    */
+   constructor(config, opts = {})
+   {
+      super(config, opts);
+
+      /**
+       * The flag names grouped by plugin of the command currently being shown.
+       *
+       * @type {Array<{pluginName: string, flags: string[]}>}
+       *
+       * @private
+       */
+      this._flagGroups = [];
+
+      /**
+       * When true help is printed as JSON.
+       *
+       * @type {boolean}
+       *
+       * @private
+       */
+      this._json = false;
+
+      /**
+       * Command help JSON deferred while showing help so that root help is able to combine it w/ the overview of a
+       * CLI w/ a default command.
+       *
+       * @type {object|void}
+       *
+       * @private
+       */
+      this._jsonCommand = void 0;
+
+      /**
+       * When true command help JSON is deferred instead of printed.
+       *
+       * @type {boolean}
+       *
+       * @private
+       */
+      this._jsonDefer = false;
+   }
+
+   /**
+    * Removes any `--json` flag before `--` and enables JSON output before showing help. In JSON mode a single JSON
+    * document is printed; when root help is shown w/ the help of a default command both are combined.
+    *
+    * @param {string[]} argv - The help arguments.
+    *
+    * @returns {Promise<void>}
+    */
+   async showHelp(argv)
+   {
+      const endIndex = argv.indexOf('--');
+
+      this._json = argv.slice(0, endIndex >= 0 ? endIndex : argv.length).includes('--json');
+      this._jsonCommand = void 0;
+      this._jsonDefer = this._json;
+
+      try
+      {
+         await super.showHelp(argv.filter((arg, index) => arg !== '--json' || (endIndex >= 0 && index > endIndex)));
+
+         // Print any command help JSON not combined w/ root help.
+         if (this._jsonCommand !== void 0) { console.log(JSON.stringify(this._jsonCommand, null, 2)); }
+      }
+      finally
+      {
+         this._jsonCommand = void 0;
+         this._jsonDefer = false;
+      }
+   }
+
    /**
     * @param {Interfaces.Command} commandConfig - The command config to be loaded.
     */
@@ -15,15 +129,405 @@ export default class DynamicCommandHelp extends oclif.Help
       // Load the command class.
       const CommandClass = await commandConfig.load();
 
+      const commandData = CommandClass._dynamicCommand;
+
       if (typeof CommandClass.loadDynamicFlags === 'function')
       {
-         commandConfig.flags = await CommandClass.loadDynamicFlags(CommandClass, this.config);
+         // Load effective defaults including any environment variable values.
+         commandConfig.flags = await CommandClass.loadDynamicFlags(CommandClass, this.config, false);
+
+         for (const hook of commandData?.initHooks || []) { s_HOOKS_RUN.add(`${hook}:${CommandClass.id}`); }
+
+         this._flagGroups = globalThis.$$eventbus !== void 0 && Array.isArray(commandData?.flagCommands) ?
+          globalThis.$$eventbus.triggerSync('typhonjs:oclif:system:handler:flag:get:groups',
+           { commands: commandData.flagCommands }) : [];
       }
       else
       {
          commandConfig.flags = typeof CommandClass.flags === 'object' ? CommandClass.flags : {};
+
+         this._flagGroups = [];
       }
 
+      if (this._json)
+      {
+         const data = s_CREATE_JSON_COMMAND(commandConfig, this._flagGroups);
+
+         if (this._jsonDefer)
+         {
+            this._jsonCommand = data;
+         }
+         else
+         {
+            console.log(JSON.stringify(data, null, 2));
+         }
+
+         return;
+      }
+
+      commandConfig.flags = s_ADD_DESCRIPTION_INFO(commandConfig.flags);
+
+      // Load summaries for any sub-commands listed.
+      const depth = commandConfig.id.split(':').length;
+
+      await s_LOAD_SUMMARIES(this.sortedCommands.filter((c) => c.id.startsWith(`${commandConfig.id}:`) &&
+       c.id.split(':').length === depth + 1), this.config);
+
       await super.showCommandHelp(commandConfig);
    }
+
+   /**
+    * Loads plugin flag summaries for the listed root commands before showing root help.
+    *
+    * @returns {Promise<void>}
+    */
+   async showRootHelp()
+   {
+      const commands = this.sortedCommands.filter((c) => c.id && (this.opts.all || !c.id.includes(':')));
+
+      await s_LOAD_SUMMARIES(commands, this.config);
+
+      if (this._json)
+      {
+         const topics = this.sortedTopics.filter((t) => this.opts.all || !t.name.includes(':'));
+
+         const data = s_CREATE_JSON_OVERVIEW(topics, commands);
+
+         // Combine any default command help shown before root help.
+         if (this._jsonCommand !== void 0)
+         {
+            data.defaultCommand = this._jsonCommand;
+            this._jsonCommand = void 0;
+         }
+
+         console.log(JSON.stringify(data, null, 2));
+         return;
+      }
+
+      await super.showRootHelp();
+   }
+
+   /**
+    * Loads plugin flag summaries for the listed topic commands before showing topic help.
+    *
+    * @param {Interfaces.Topic} topic - The topic.
+    *
+    * @returns {Promise<void>}
+    */
+   async showTopicHelp(topic)
+   {
+      const depth = topic.name.split(':').length;
+
+      const isChild = (id) => id.startsWith(`${topic.name}:`) && id.split(':').length === depth + 1;
+
+      const commands = this.sortedCommands.filter((c) => isChild(c.id));
+
+      await s_LOAD_SUMMARIES(commands, this.config);
+
+      if (this._json)
+      {
+         const topics = this.sortedTopics.filter((t) => isChild(t.name));
+
+         console.log(JSON.stringify({ topic: topic.name, ...s_CREATE_JSON_OVERVIEW(topics, commands) }, null, 2));
+         return;
+      }
+
+      await super.showTopicHelp(topic);
+   }
+
+   /**
+    * Formats a command listing appending the plugin flag summary of each command to the description.
+    *
+    * @param {Interfaces.Command[]} commands - Commands to list.
+    *
+    * @returns {string} Formatted command listing.
+    */
+   formatCommands(commands)
+   {
+      return super.formatCommands(commands.map((command) =>
+      {
+         const summary = s_SUMMARY_CACHE.get(command.id);
+
+         return summary ? {
+            ...command,
+            description: s_FORMAT_SUMMARY(command.description, summary, s_FAILED_SUMMARIES.has(command.id))
+         } : command;
+      }));
+   }
+
+   /**
+    * Formats command help w/ flags grouped by plugin.
+    *
+    * @param {Interfaces.Command} command - The command config.
+    *
+    * @returns {string} Formatted command help.
+    */
+   formatCommand(command)
+   {
+      if (this.config.topicSeparator !== ':')
+      {
+         command.id = command.id.replace(/:/g, this.config.topicSeparator);
+         command.aliases = command.aliases && command.aliases.map((a) => a.replace(/:/g, this.config.topicSeparator));
+      }
+
+      return new GroupedCommandHelp(command, this.config, this.opts, this._flagGroups).generate();
+   }
+}
+
+/**
+ * Renders the flags section of command help as one section per plugin flag group. Any flags not in a group are
+ * rendered in the standard `OPTIONS` section.
+ *
+ * @private
+ */
+class GroupedCommandHelp extends OclifCommandHelp.default
+{
+   /**
+    * @param {Interfaces.Command} command - The command config.
+    *
+    * @param {Interfaces.Config}  config - The Oclif config.
+    *
+    * @param {object}             opts - Help options.
+    *
+    * @param {Array<{pluginName: string, flags: string[]}>} flagGroups - The flag names grouped by plugin.
+    */
+   constructor(command, config, opts, flagGroups)
+   {
+      super(command, config, opts);
+
+      /**
+       * @type {Array<{pluginName: string, flags: string[]}>}
+       *
+       * @private
+       */
+      this._flagGroups = flagGroups;
+   }
+
+   /**
+    * @param {object[]} flags - Sorted visible flags.
+    *
+    * @returns {string|void} Flag sections.
+    */
+   flags(flags)
+   {
+      if (this._flagGroups.length === 0) { return super.flags(flags); }
+
+      const sections = [];
+
+      for (const group of this._flagGroups)
+      {
+         const section = super.flags(flags.filter((flag) => group.flags.includes(flag.name)));
+
+         // Append the plugin name to the section heading.
+         if (section) { sections.push(section.replace('OPTIONS', `OPTIONS (${group.pluginName})`)); }
+      }
+
+      const ungrouped = super.flags(flags.filter((flag) => !this._flagGroups.some(
+       (group) => group.flags.includes(flag.name))));
+
+      if (ungrouped) { sections.push(ungrouped); }
+
+      return sections.length > 0 ? sections.join('\n\n') : void 0;
+   }
+}
+
+/**
+ * Appends any environment variable bound to a flag by FlagHandler to the flag description. Oclif only shows defaults
+ * for option flags, so any boolean flag w/ a `true` default has the default prepended to the description. The default
+ * of any flag marked `secret` is masked.
+ *
+ * @param {object}   flags - Flags to display.
+ *
+ * @returns {object} Flags w/ updated descriptions.
+ */
+function s_ADD_DESCRIPTION_INFO(flags)
+{
+   const output = {};
+
+   for (const [flagName, flag] of Object.entries(flags))
+   {
+      const secret = flag.secret === true && flag.default !== void 0;
+
+      let description = flag.description || '';
+
+      if (flag.type === 'boolean' && (flag.default === true || secret))
+      {
+         description = `[default: ${secret ? MetaFileRedactor.REDACTED : true}] ${description}`;
+      }
+
+      if (typeof flag.$$envVar === 'string') { description = `${description} [env: ${flag.$$envVar}]`; }
+
+      if (secret)
+      {
+         output[flagName] = { ...flag, default: MetaFileRedactor.REDACTED, description: description.trim() };
+         continue;
+      }
+
+      output[flagName] = description !== (flag.description || '') ? { ...flag, description: description.trim() } :
+       flag;
+   }
+
+   return output;
+}
+
+/**
+ * Creates the JSON help data for a topic / command overview.
+ *
+ * @param {Interfaces.Topic[]}   topics - Listed topics.
+ *
+ * @param {Interfaces.Command[]} commands - Listed commands.
+ *
+ * @returns {object} JSON help data.
+ */
+function s_CREATE_JSON_OVERVIEW(topics, commands)
+{
+   return {
+      topics: topics.map((topic) => ({ name: topic.name, description: topic.description })),
+      commands: commands.map((command) =>
+      {
+         const summary = s_SUMMARY_CACHE.get(command.id);
+
+         const data = {
+            id: command.id,
+            description: command.description,
+            available: !s_FAILED_SUMMARIES.has(command.id) && (!Array.isArray(summary) || summary.length > 0),
+            pluginFlags: Array.isArray(summary) ? summary : []
+         };
+
+         if (s_FAILED_SUMMARIES.has(command.id)) { data.error = s_FAILED_SUMMARIES.get(command.id); }
+
+         return data;
+      })
+   };
+}
+
+/**
+ * Creates the JSON help data for a command.
+ *
+ * @param {Interfaces.Command} command - The command config w/ loaded flags.
+ *
+ * @param {Array<{pluginName: string, flags: string[]}>} flagGroups - The flag names grouped by plugin.
+ *
+ * @returns {object} JSON help data.
+ */
+function s_CREATE_JSON_COMMAND(command, flagGroups)
+{
+   const flags = Object.entries(command.flags || {}).filter(([, flag]) => !flag.hidden);
+
+   const toJSON = ([name, flag]) => ({
+      name,
+      char: flag.char,
+      type: flag.type,
+      description: flag.description,
+      env: flag.$$envVar,
+      default: flag.secret === true && flag.default !== void 0 ? MetaFileRedactor.REDACTED : flag.default,
+      options: flag.options,
+      multiple: flag.multiple === true,
+      required: flag.required === true,
+      secret: flag.secret === true
+   });
+
+   const groups = flagGroups.map((group) => ({
+      pluginName: group.pluginName,
+      flags: flags.filter(([name]) => group.flags.includes(name)).map(toJSON)
+   }));
+
+   const ungrouped = flags.filter(([name]) => !flagGroups.some((group) => group.flags.includes(name)));
+
+   if (ungrouped.length > 0) { groups.push({ pluginName: null, flags: ungrouped.map(toJSON) }); }
+
+   return {
+      id: command.id,
+      description: command.description,
+      aliases: command.aliases || [],
+      flagGroups: groups
+   };
+}
+
+/**
+ * Prepends the plugin flag summary to the first line of a command description. Only the first line of a description
+ * is shown in command listings.
+ *
+ * @param {string}   description - Command description.
+ *
+ * @param {Array<{pluginName: string, flagCount: number}>} summary - Plugin flag summary.
+ *
+ * @param {boolean}  [failed=false] - Whether the command failed to load.
+ *
+ * @returns {string} Command description w/ summary.
+ */
+function s_FORMAT_SUMMARY(description = '', summary, failed = false)
+{
+   const [title, ...lines] = (description || '').split('\n');
+
+   const info = failed ? '[unavailable: failed to load plugin flags]' :
+    summary.length === 0 ? '[unavailable: no plugin flags registered]' :
+     `[plugin flags: ${summary.map((entry) => `${entry.pluginName} (${entry.flagCount})`).join(', ')}]`;
+
+   return [`${title} ${info}`.trim(), ...lines].join('\n');
+}
+
+/**
+ * Loads and caches the plugin flag summary of each dynamic command by running any init hooks not already run and
+ * retrieving the flag groups from FlagHandler. Flags defined by DynamicCommandFlags are not counted as plugin flags.
+ * A command that fails to load is summarized w/o plugin flags and the error message is stored.
+ *
+ * @param {Interfaces.Command[]} commands - Commands to summarize.
+ *
+ * @param {Interfaces.Config}    config - The Oclif config.
+ *
+ * @returns {Promise<void>}
+ */
+async function s_LOAD_SUMMARIES(commands, config)
+{
+   commands = commands.filter((command) => !s_SUMMARY_CACHE.has(command.id));
+
+   if (commands.length === 0) { return; }
+
+   const standardFlags = new Set(Object.keys(DynamicCommandFlags.flags));
+
+   for (const command of commands)
+   {
+      let summary = null;
+
+      try
+      {
+         const CommandClass = await command.load();
+         const commandData = CommandClass._dynamicCommand;
+
+         if (typeof commandData === 'object' && commandData !== null)
+         {
+            const id = CommandClass.id || command.id;
+
+            for (const hook of Array.isArray(commandData.initHooks) ? commandData.initHooks : [])
+            {
+               if (s_HOOKS_RUN.has(`${hook}:${id}`)) { continue; }
+
+               s_HOOKS_RUN.add(`${hook}:${id}`);
+
+               await config.runHook(hook, { id, flagsModule: '@oclif/core/lib/flags.js' });
+            }
+
+            const groups = globalThis.$$eventbus !== void 0 && Array.isArray(commandData.flagCommands) ?
+             globalThis.$$eventbus.triggerSync('typhonjs:oclif:system:handler:flag:get:groups',
+              { commands: commandData.flagCommands }) : [];
+
+            summary = groups.map((group) => ({
+               pluginName: group.pluginName,
+               flagCount: group.flags.filter((flagName) => !standardFlags.has(flagName)).length
+            })).filter((entry) => entry.flagCount > 0);
+         }
+      }
+      catch (err)
+      {
+         globalThis.$$eventbus?.trigger('log:debug', `Could not load help data for command '${command.id}':\n` +
+          `${err.message}`);
+
+         s_FAILED_SUMMARIES.set(command.id, err.message);
+
+         summary = [];
+      }
+
+      s_SUMMARY_CACHE.set(command.id, summary);
+   }
 }
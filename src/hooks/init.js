@@ -4,8 +4,13 @@ import os                  from 'os';
 import PluginManager       from '@typhonjs-plugin/manager';
 import ErrorParser         from '@typhonjs-utils/error-parser';
 
+import ErrorFilterHandler  from '../system/handlers/exception/ErrorFilterHandler.js';
+import ErrorMapHandler     from '../system/handlers/exception/ErrorMapHandler.js';
+import FileLogHandler      from '../system/handlers/log/FileLogHandler.js';
 import FlagHandler         from '../system/handlers/flag/FlagHandler.js';
 import MetaFileHandler     from '../system/handlers/file/MetaFileHandler.js';
+import NamespaceLogHandler from '../system/handlers/log/NamespaceLogHandler.js';
+import OutputModeHandler   from '../system/handlers/log/OutputModeHandler.js';
 
 import defaultLogLevel     from '../data/defaultLogLevel.js';
 
@@ -43,6 +48,16 @@ export default async function(options)
       // Adds color logger plugin
       await globalThis.$$pluginManager.add({ name: '@typhonjs-utils/logger-color/plugin' });
 
+      // Set the initial starting log level.
+      globalThis.$$eventbus.trigger('log:level:set', logLevel);
+
+      // Applies `--no-color`, `--quiet`, `NO_COLOR`, `FORCE_COLOR` & TTY detection before any log output occurs.
+      await globalThis.$$pluginManager.add({
+         name: '@typhonjs-oclif/core/OutputModeHandler',
+         instance: OutputModeHandler,
+         options: { argv: options.argv, envPrefix: globalThis.$$cli_name.toUpperCase() }
+      });
+
       await globalThis.$$pluginManager.add({
          name: '@typhonjs-utils/error-parser',
          instance: globalThis.$$errorParser,
@@ -61,8 +76,24 @@ export default async function(options)
          }
       });
 
-      // Set the initial starting log level.
-      globalThis.$$eventbus.trigger('log:level:set', logLevel);
+      // Adds or replaces any error filters defined in the CLI `package.json` Oclif config `errorFilterConfigs`.
+      await globalThis.$$pluginManager.add({
+         name: '@typhonjs-oclif/core/ErrorFilterHandler',
+         instance: ErrorFilterHandler,
+         options: { filterConfigs: options.config.pjson?.oclif?.errorFilterConfigs }
+      });
+
+      // Adds the registry mapping errors to exit codes, log events and fatal / non-fatal handling.
+      await globalThis.$$pluginManager.add({ name: '@typhonjs-oclif/core/ErrorMapHandler', instance: ErrorMapHandler });
+
+      // Adds file logging of all log events which is started by the `--logfile` flag.
+      await globalThis.$$pluginManager.add({ name: '@typhonjs-oclif/core/FileLogHandler', instance: FileLogHandler });
+
+      // Adds log levels per plugin / namespace which are set by the `--loglevel` flag; IE `info,rollup=debug`.
+      await globalThis.$$pluginManager.add({
+         name: '@typhonjs-oclif/core/NamespaceLogHandler',
+         instance: NamespaceLogHandler
+      });
 
       globalThis.$$eventbus.trigger('log:debug', `TyphonJS CLI init hook running '${options.id}'.`);
 
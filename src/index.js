@@ -2,4 +2,5 @@ export { default as DynamicCommand }      from './command/dynamic/DynamicCommand
 export { default as DynamicCommandFlags } from './command/dynamic/DynamicCommandFlags.js';
 export { default as DynamicCommandHelp }  from './command/dynamic/DynamicCommandHelp.js';
 export { default as errorHandler }        from './system/handlers/exception/errorHandler.js';
+export { errorHandlerAsync }              from './system/handlers/exception/errorHandler.js';
 export { default as finallyHandler }      from './system/handlers/exception/finallyHandler.js';
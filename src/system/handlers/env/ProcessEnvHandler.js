@@ -0,0 +1,106 @@
+/**
+ * Stores snapshots of the process environment variables as a stack. Each snapshot records the complete process
+ * environment when captured allowing added keys to be removed and changed keys to be restored to their prior value.
+ *
+ * @type {object[]}
+ */
+const s_SNAPSHOTS = [];
+
+/**
+ * Provides transactional handling of `process.env` changes made while running a DynamicCommand. This includes
+ * environment variables loaded from *.env files and any changes made by plugins. A snapshot is captured when a
+ * DynamicCommand initializes and restored when the command finishes, on any error and on SIGINT. This allows
+ * several DynamicCommands to run in the same process without leaking environment variables between them.
+ */
+export default class ProcessEnvHandler
+{
+   /**
+    * Captures a snapshot of the current process environment. Snapshots may be nested and are restored in reverse order.
+    */
+   static capture()
+   {
+      if (s_SNAPSHOTS.length === 0) { process.once('SIGINT', s_ON_SIGINT); }
+
+      s_SNAPSHOTS.push({ ...process.env });
+   }
+
+   /**
+    * Returns the changes made to the process environment since the most recent snapshot was captured.
+    *
+    * @returns {{added: string[], changed: object}} Added keys and changed keys w/ their prior values. Keys removed
+    *          since the snapshot are included in `changed`.
+    */
+   static getChanges()
+   {
+      const snapshot = s_SNAPSHOTS[s_SNAPSHOTS.length - 1];
+
+      if (snapshot === void 0) { return { added: [], changed: {} }; }
+
+      const added = Object.keys(process.env).filter((key) => !(key in snapshot));
+      const changed = {};
+
+      for (const [key, value] of Object.entries(snapshot))
+      {
+         if (process.env[key] !== value) { changed[key] = value; }
+      }
+
+      return { added, changed };
+   }
+
+   /**
+    * Restores the process environment to the most recent snapshot.
+    */
+   static restore()
+   {
+      const snapshot = s_SNAPSHOTS.pop();
+
+      if (snapshot === void 0) { return; }
+
+      s_RESTORE(snapshot);
+
+      if (s_SNAPSHOTS.length === 0) { process.removeListener('SIGINT', s_ON_SIGINT); }
+   }
+
+   /**
+    * Restores the process environment to the earliest snapshot discarding all snapshots.
+    */
+   static restoreAll()
+   {
+      if (s_SNAPSHOTS.length === 0) { return; }
+
+      s_RESTORE(s_SNAPSHOTS[0]);
+
+      s_SNAPSHOTS.length = 0;
+
+      process.removeListener('SIGINT', s_ON_SIGINT);
+   }
+}
+
+/**
+ * Restores the process environment on SIGINT. When no other SIGINT listeners remain to handle the signal the process
+ * exits w/ the conventional SIGINT exit code `130`.
+ */
+function s_ON_SIGINT()
+{
+   ProcessEnvHandler.restoreAll();
+
+   if (process.listenerCount('SIGINT') === 0) { process.exit(130); }
+}
+
+/**
+ * Removes any keys added since the snapshot and restores the prior value of any changed keys.
+ *
+ * @param {object}   snapshot - A process environment snapshot.
+ */
+function s_RESTORE(snapshot)
+{
+   for (const key of Object.keys(process.env))
+   {
+      if (!(key in snapshot)) { delete process.env[key]; }
+   }
+
+   for (const [key, value] of Object.entries(snapshot))
+   {
+      if (process.env[key] !== value) { process.env[key] = value; }
+   }
+}
@@ -0,0 +1,111 @@
+/**
+ * Manages the trace filters of the global `@typhonjs-utils/error-parser` instance used by `errorHandler` to determine
+ * the filtered stack / likely source of an uncaught error. CLI authors may add filters for any framework layers that
+ * wrap their CLI so that these layers are not reported as the likely source of an error.
+ *
+ * Filter configs may be defined in the CLI `package.json` Oclif config as `oclif.errorFilterConfigs` or added at
+ * startup through `typhonjs:oclif:system:handler:error:filter:set`. A filter config with the same type and name as an
+ * existing filter replaces the existing filter. All filters may be inspected through
+ * `typhonjs:oclif:system:handler:error:filter:get:all`.
+ *
+ * @example
+ * // package.json
+ * "oclif": {
+ *    "errorFilterConfigs": [
+ *       { "type": "exclusive", "name": "@my-cli/plugin-host", "filterString": "@my-cli/plugin-host" }
+ *    ]
+ * }
+ */
+export default class ErrorFilterHandler
+{
+   /**
+    * Returns the filter data of all trace filters.
+    *
+    * @param {boolean}  [enabled] - If enabled is a boolean only filters w/ the given enabled state are returned.
+    *
+    * @returns {Array<{type: string, name: string, filterString: string, enabled: boolean}>} All filter data.
+    */
+   static getFilters(enabled = void 0)
+   {
+      return globalThis.$$errorParser.getAllFilterData(enabled);
+   }
+
+   /**
+    * Adds or replaces trace filters. A filter config w/ the same type and name as an existing filter replaces the
+    * existing filter. Any invalid filter config is skipped and a warning is logged.
+    *
+    * @param {Array<{type: string, name: string, filterString: string, enabled: boolean}>} filterConfigs - Filter
+    *        configs to add or replace.
+    *
+    * @returns {boolean} True if all filter configs were added.
+    */
+   static setFilters(filterConfigs)
+   {
+      if (!Array.isArray(filterConfigs))
+      {
+         throw new TypeError(`ErrorFilterHandler setFilters: 'filterConfigs' is not an 'array'.`);
+      }
+
+      const errorParser = globalThis.$$errorParser;
+
+      let success = true;
+
+      for (const config of filterConfigs)
+      {
+         if (typeof config !== 'object' || config === null || !['exclusive', 'inclusive'].includes(config.type) ||
+          typeof config.name !== 'string' || typeof config.filterString !== 'string')
+         {
+            globalThis.$$eventbus.trigger('log:warn', `Skipping invalid error filter config:\n` +
+             `${JSON.stringify(config)}\nA filter config requires 'type' ('exclusive' or 'inclusive'), 'name' and ` +
+              `'filterString'.`);
+
+            success = false;
+            continue;
+         }
+
+         if (errorParser.getFilterData(config.type, config.name) !== void 0)
+         {
+            errorParser.removeFilter(config.type, config.name);
+
+            globalThis.$$eventbus.trigger('log:debug', `Replacing ${config.type} error filter '${config.name}'.`);
+         }
+
+         if (!errorParser.addFilter(config)) { success = false; }
+      }
+
+      return success;
+   }
+
+   /**
+    * Wires up ErrorFilterHandler on the plugin eventbus and adds any filter configs from the plugin options.
+    *
+    * @param {object} ev - PluginEvent - The plugin event.
+    *
+    * @see https://www.npmjs.com/package/@typhonjs-plugin/manager
+    *
+    * @ignore
+    */
+   static onPluginLoad(ev)
+   {
+      ev.eventbus.on(`typhonjs:oclif:system:handler:error:filter:get:all`, ErrorFilterHandler.getFilters,
+       ErrorFilterHandler, { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:error:filter:set`, ErrorFilterHandler.setFilters,
+       ErrorFilterHandler, { guard: true });
+
+      const filterConfigs = ev.pluginOptions?.filterConfigs;
+
+      if (filterConfigs !== void 0)
+      {
+         if (Array.isArray(filterConfigs))
+         {
+            ErrorFilterHandler.setFilters(filterConfigs);
+         }
+         else
+         {
+            globalThis.$$eventbus.trigger('log:warn',
+             `Ignoring 'oclif.errorFilterConfigs' in package.json as it is not an 'array'.`);
+         }
+      }
+   }
+}
@@ -0,0 +1,222 @@
+/**
+ * Provides a registry mapping errors to an exit code, log event and fatal / non-fatal handling. This allows errors
+ * thrown by third party code inside plugins to be handled w/ stable exit codes that wrapper scripts can rely on and to
+ * be logged at a softer log level. `errorHandler` consults the registry before any other error handling.
+ *
+ * A mapping matches errors by any combination of an error class (`instanceof`), a `code` value and a predicate
+ * function; all provided matchers must match. When several mappings match an error the most recently added mapping is
+ * used. A mapping may define any of:
+ * - `exitCode` - The process exit code.
+ * - `logEvent` - The log event used for non-fatal errors; IE `log:warn`.
+ * - `fatal` - When false the error is handled as a NonFatalError; when true the error is handled as a fatal error.
+ *
+ * Mappings are added through `typhonjs:oclif:system:handler:error:map:add` and removed through
+ * `typhonjs:oclif:system:handler:error:map:remove` or automatically when the plugin that added them is removed from
+ * the plugin manager. `typhonjs:oclif:system:handler:error:map:get` returns any mapping for an error.
+ *
+ * @example
+ * globalThis.$$eventbus.trigger('typhonjs:oclif:system:handler:error:map:add', {
+ *    pluginName: 'my-plugin',
+ *    code: 'ENOENT',
+ *    exitCode: 66,
+ *    logEvent: 'log:error',
+ *    fatal: false
+ * });
+ */
+export default class ErrorMapHandler
+{
+   /**
+    * Adds an error mapping. At least one of `errorClass`, `code` or `predicate` must be defined.
+    *
+    * @param {object}            mapping - Error mapping.
+    *
+    * @param {string}            mapping.pluginName - The plugin name adding the mapping.
+    *
+    * @param {Function}          [mapping.errorClass] - Matches errors that are an instance of this class.
+    *
+    * @param {string|number}     [mapping.code] - Matches errors w/ this `code` value.
+    *
+    * @param {Function}          [mapping.predicate] - Matches errors when this function returns true.
+    *
+    * @param {number}            [mapping.exitCode] - The process exit code.
+    *
+    * @param {string}            [mapping.logEvent] - The log event for non-fatal errors.
+    *
+    * @param {boolean}           [mapping.fatal] - Whether the error is handled as fatal or non-fatal.
+    */
+   static addMapping(mapping = {})
+   {
+      if (typeof mapping !== 'object' || mapping === null)
+      {
+         throw new TypeError(`ErrorMapHandler addMapping: 'mapping' is not an 'object'.`);
+      }
+
+      if (typeof mapping.pluginName !== 'string')
+      {
+         throw new TypeError(`ErrorMapHandler addMapping: 'mapping.pluginName' is not a 'string'.`);
+      }
+
+      if (mapping.errorClass !== void 0 && typeof mapping.errorClass !== 'function')
+      {
+         throw new TypeError(`ErrorMapHandler addMapping: 'mapping.errorClass' is not a 'function'.`);
+      }
+
+      if (mapping.code !== void 0 && typeof mapping.code !== 'string' && typeof mapping.code !== 'number')
+      {
+         throw new TypeError(`ErrorMapHandler addMapping: 'mapping.code' is not a 'string' or 'number'.`);
+      }
+
+      if (mapping.predicate !== void 0 && typeof mapping.predicate !== 'function')
+      {
+         throw new TypeError(`ErrorMapHandler addMapping: 'mapping.predicate' is not a 'function'.`);
+      }
+
+      if (mapping.errorClass === void 0 && mapping.code === void 0 && mapping.predicate === void 0)
+      {
+         throw new TypeError(
+          `ErrorMapHandler addMapping: 'mapping' must define one of 'errorClass', 'code' or 'predicate'.`);
+      }
+
+      if (mapping.exitCode !== void 0 && (!Number.isInteger(mapping.exitCode) || mapping.exitCode < 0))
+      {
+         throw new TypeError(`ErrorMapHandler addMapping: 'mapping.exitCode' is not a positive 'integer'.`);
+      }
+
+      if (mapping.logEvent !== void 0 && typeof mapping.logEvent !== 'string')
+      {
+         throw new TypeError(`ErrorMapHandler addMapping: 'mapping.logEvent' is not a 'string'.`);
+      }
+
+      if (mapping.fatal !== void 0 && typeof mapping.fatal !== 'boolean')
+      {
+         throw new TypeError(`ErrorMapHandler addMapping: 'mapping.fatal' is not a 'boolean'.`);
+      }
+
+      ErrorMapHandler._mappings.push({
+         pluginName: mapping.pluginName,
+         errorClass: mapping.errorClass,
+         code: mapping.code,
+         predicate: mapping.predicate,
+         exitCode: mapping.exitCode,
+         logEvent: mapping.logEvent,
+         fatal: mapping.fatal
+      });
+   }
+
+   /**
+    * Returns the most recently added mapping matching the given error. Any error thrown by a predicate is treated as
+    * not matching.
+    *
+    * @param {Error}    error - The error to match.
+    *
+    * @returns {{exitCode: number, logEvent: string, fatal: boolean}|void} Any matching mapping.
+    */
+   static getMapping(error)
+   {
+      if (typeof error !== 'object' || error === null) { return void 0; }
+
+      for (let cntr = ErrorMapHandler._mappings.length; --cntr >= 0;)
+      {
+         const mapping = ErrorMapHandler._mappings[cntr];
+
+         if (mapping.errorClass !== void 0 && !(error instanceof mapping.errorClass)) { continue; }
+
+         if (mapping.code !== void 0 && error.code !== mapping.code) { continue; }
+
+         if (mapping.predicate !== void 0)
+         {
+            let matched = false;
+
+            try
+            {
+               matched = mapping.predicate(error) === true;
+            }
+            catch (err) { /* Treat any predicate error as not matching */ }
+
+            if (!matched) { continue; }
+         }
+
+         return { exitCode: mapping.exitCode, logEvent: mapping.logEvent, fatal: mapping.fatal };
+      }
+
+      return void 0;
+   }
+
+   /**
+    * Removes all mappings added by a plugin.
+    *
+    * @param {object}   query - Query object
+    *
+    * @param {string}   query.pluginName - The plugin name to remove mappings for.
+    *
+    * @returns {boolean} True if any mappings were removed.
+    */
+   static removeMappings(query = {})
+   {
+      if (typeof query !== 'object' || query === null)
+      {
+         throw new TypeError(`ErrorMapHandler removeMappings: 'query' is not an 'object'.`);
+      }
+
+      if (typeof query.pluginName !== 'string')
+      {
+         throw new TypeError(`ErrorMapHandler removeMappings: 'query.pluginName' is not a 'string'.`);
+      }
+
+      const length = ErrorMapHandler._mappings.length;
+
+      ErrorMapHandler._mappings = ErrorMapHandler._mappings.filter((mapping) => mapping.pluginName !==
+       query.pluginName);
+
+      return ErrorMapHandler._mappings.length !== length;
+   }
+
+   /**
+    * Wires up ErrorMapHandler on the plugin eventbus.
+    *
+    * @param {object} ev - PluginEvent - The plugin event.
+    *
+    * @see https://www.npmjs.com/package/@typhonjs-plugin/manager
+    *
+    * @ignore
+    */
+   static onPluginLoad(ev)
+   {
+      ev.eventbus.on(`typhonjs:oclif:system:handler:error:map:add`, ErrorMapHandler.addMapping, ErrorMapHandler,
+       { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:error:map:get`, ErrorMapHandler.getMapping, ErrorMapHandler,
+       { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:error:map:remove`, ErrorMapHandler.removeMappings,
+       ErrorMapHandler, { guard: true });
+
+      // Remove any mappings associated with a plugin when it is removed from the plugin manager.
+      ev.eventbus.on(`typhonjs:plugin:manager:plugin:removed`, (pluginData) =>
+      {
+         const pluginName = pluginData?.plugin?.name;
+
+         if (typeof pluginName === 'string') { ErrorMapHandler.removeMappings({ pluginName }); }
+      });
+   }
+
+   /**
+    * Clears all mappings when ErrorMapHandler is removed from the plugin manager.
+    *
+    * @see https://www.npmjs.com/package/@typhonjs-plugin/manager
+    *
+    * @ignore
+    */
+   static onPluginUnload()
+   {
+      ErrorMapHandler._mappings = [];
+   }
+}
+
+/**
+ * Stores error mappings in the order added.
+ *
+ * @type {Array<{pluginName: string, errorClass: Function, code: string|number, predicate: Function, exitCode: number,
+ *  logEvent: string, fatal: boolean}>}
+ */
+ErrorMapHandler._mappings = [];
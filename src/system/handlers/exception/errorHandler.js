@@ -1,10 +1,17 @@
+import fs                        from 'fs';
+import path                      from 'path';
+
 import oclif                     from '@oclif/core';
 
 import { NonFatalError }         from '@typhonjs-oclif/errors';
 
-import logger                    from '@typhonjs-utils/logger-color/plugin';
 import { getPackageAndFormat }   from '@typhonjs-utils/package-json';
 
+import ProcessEnvHandler         from '../env/ProcessEnvHandler.js';
+import MetaFileHandler           from '../file/MetaFileHandler.js';
+import FileLogHandler            from '../log/FileLogHandler.js';
+import OutputModeHandler         from '../log/OutputModeHandler.js';
+
 const s_MESSAGE_ONE_MODULE = `\n
 The source of the error may be associated with the stack trace and module listed below. This may 
 also be a valid runtime error. If you can not resolve this error consider reporting it to the issue
@@ -20,6 +27,48 @@ checking if a similar report already exists. In your report include all of the i
 To aid your search on the issue forum you can make a search with the UUID associated with the error
 to find any duplicate report.`;
 
+/**
+ * The max depth of nested `cause` / `AggregateError.errors` errors rendered for an error.
+ *
+ * @type {number}
+ */
+const s_CAUSE_DEPTH_LIMIT = 5;
+
+/**
+ * Matches the `log:info` events of NonFatalError output which is informational and never written as a JSON error.
+ *
+ * @type {RegExp}
+ */
+const s_INFO_EVENT_REGEX = /^log:info(:|$)/;
+
+/**
+ * The max number of issue drafts kept in the CLI log directory; older drafts are removed.
+ *
+ * @type {number}
+ */
+const s_ISSUE_DRAFT_MAX_COUNT = 10;
+
+/**
+ * Matches issue draft file names written by `s_WRITE_ISSUE_DRAFT`.
+ *
+ * @type {RegExp}
+ */
+const s_ISSUE_DRAFT_REGEX = /^issue_\d{4}-\d{2}-\d{2}T\d{2}_\d{2}_\d{2}_[0-9A-Za-z-]+\.md$/;
+
+/**
+ * The max number of stack entries included in an issue draft.
+ *
+ * @type {number}
+ */
+const s_ISSUE_STACK_LIMIT = 10;
+
+/**
+ * The max length of a prefilled issue URL; longer URLs only prefill the issue title.
+ *
+ * @type {number}
+ */
+const s_ISSUE_URL_MAX_LENGTH = 8000;
+
 const s_MESSAGE_SEPARATOR =
    '---------------------------------------------------------------------------------------------------';
 
@@ -27,6 +76,35 @@ const s_MESSAGE_SEPARATOR =
  * Adds the essential handling from the Oclif error handler with the addition of logging better errors based
  * on stack trace normalization / filtering and lookup for any associated package.json / modules.
  *
+ * The error is always handled synchronously. Writing a crash metafile archive is async, so crash metafiles requested by
+ * the `{prefix}_CRASH_METAFILE` environment variable are only written by `errorHandlerAsync`; a warning is logged when
+ * one is requested here.
+ *
+ * Nested errors from any `cause` chain or `AggregateError.errors` are rendered w/ their own normalized and filtered
+ * trace, UUID and package info up to a depth of 5 nested errors.
+ *
+ * All error output is also written to any log file started by the `--logfile` flag and the log file is flushed before
+ * the process exits.
+ *
+ * When the `{prefix}_ISSUE_DRAFT` environment variable is `true` or `1` a markdown issue draft is written to the CLI
+ * log directory for any uncaught fatal error. The draft includes the error, CLI version, environment, error UUIDs and
+ * trimmed stacks along with an issue URL built from the `bugs` field of the package associated with the filtered stack
+ * which is the package most likely responsible for the error. The draft is redacted like metafile archives and only
+ * the 10 most recent drafts are kept.
+ *
+ * When the `--error-format` flag or `{prefix}_ERROR_FORMAT` environment variable is `json` a single line JSON object
+ * describing the error is written to `stderr` instead of any human readable message. This covers NonFatalError, Oclif
+ * and uncaught errors. The object includes the error type, message, fatal state, exit code, log event, normalized and
+ * filtered error UUIDs / stacks, associated package name, version & bugs URL and any crash metafile archive path.
+ * Informational NonFatalError output logged at `info` such as the `--noop` banner is not an error and is logged as
+ * usual.
+ *
+ * The filtered stack is determined by the trace filters of the global error parser which CLI authors may extend
+ * through ErrorFilterHandler.
+ *
+ * Before any other handling the error is matched against the ErrorMapHandler registry which may define the exit code,
+ * log event and fatal / non-fatal handling of the error.
+ *
  * @param {Error}    error - Error to handle / log.
  *
  * @param {boolean}  [processExit=true] - Set to false to log errors and not exit process except for SIGINT.
@@ -35,25 +113,105 @@ const s_MESSAGE_SEPARATOR =
  */
 export default function errorHandler(error, processExit = true)
 {
-   try
+   if (s_IS_CRASH_METAFILE(error))
+   {
+      OutputModeHandler.log('warn', `Crash metafiles are only written when errors are handled by 'errorHandlerAsync'.`);
+   }
+
+   s_HANDLE_ERROR(error, processExit);
+}
+
+/**
+ * Handles an error like `errorHandler` and resolves once the error is handled. When the `{prefix}_CRASH_METAFILE`
+ * environment variable is `true` or `1` a crash metafile archive is written for any uncaught fatal error before the
+ * error is handled and the archive path is included in the logged error message.
+ *
+ * @param {Error}    error - Error to handle / log.
+ *
+ * @param {boolean}  [processExit=true] - Set to false to log errors and not exit process except for SIGINT.
+ *
+ * @returns {Promise<void>}
+ */
+export async function errorHandlerAsync(error, processExit = true)
+{
+   let crashMetafilePath;
+
+   if (s_IS_CRASH_METAFILE(error))
    {
-      // Handle removing any temporary environment variables added as a configuration option.
-      if (Array.isArray(globalThis.$$process_env_key_change))
+      try
+      {
+         const normalizedError = globalThis.$$errorParser.normalize({ error });
+         const filterError = globalThis.$$errorParser.filter({ error });
+
+         const { normalizedPackageObj, filterPackageObj } = s_GET_PACKAGES(normalizedError, filterError);
+
+         crashMetafilePath = await s_WRITE_CRASH_METAFILE({ error, normalizedError, filterError,
+          normalizedPackageObj, filterPackageObj, command: error.$$command });
+      }
+      catch (err)
       {
-         globalThis.$$process_env_key_change.forEach((entry) => delete process.env[entry]);
+         OutputModeHandler.log('warn', `Could not write crash metafile:\n${err.message}`);
       }
+   }
+
+   s_HANDLE_ERROR(error, processExit, crashMetafilePath);
+}
+
+/**
+ * Handles / logs an error synchronously.
+ *
+ * @param {Error}    error - Error to handle / log.
+ *
+ * @param {boolean}  processExit - Set to false to log errors and not exit process except for SIGINT.
+ *
+ * @param {string}   [crashMetafilePath] - Any crash metafile archive path written for the error.
+ */
+function s_HANDLE_ERROR(error, processExit, crashMetafilePath)
+{
+   try
+   {
+      // Check for issue draft opt-in and error format before any environment variables are restored.
+      const issueDraftEnabled = s_IS_ENV_ENABLED(error?.$$command, 'ISSUE_DRAFT');
+      const errorFormat = s_GET_ERROR_FORMAT(error?.$$command);
+
+      // Restore any environment variables added or changed while running a command.
+      ProcessEnvHandler.restoreAll();
 
       if (!error) { error = new oclif.Errors.CLIError('no error?'); }
-      if (error.message === 'SIGINT') { process.exit(1); }
+      if (error.message === 'SIGINT')
+      {
+         FileLogHandler.flush();
+         process.exit(1);
+      }
+
+      // Any mapping registered for the error takes precedence over the error state.
+      const mapping = s_GET_ERROR_MAPPING(error);
+
+      const nonFatal = typeof mapping?.fatal === 'boolean' ? !mapping.fatal : error instanceof NonFatalError ||
+       (typeof error.$$error_fatal === 'boolean' && !error.$$error_fatal);
 
       // Handle TyphonJS NonFatalError
-      if (error instanceof NonFatalError || (typeof error.$$error_fatal === 'boolean' && !error.$$error_fatal))
+      if (nonFatal)
       {
-         const logEvent = typeof error.$$logEvent === 'string' ? error.$$logEvent : 'log:error';
-         const errorCode = Number.isInteger(error.$$errorCode) ? error.$$errorCode : 1;
+         const logEvent = typeof mapping?.logEvent === 'string' ? mapping.logEvent :
+          typeof error.$$logEvent === 'string' ? error.$$logEvent : 'log:error';
 
-         // log error message unless the log event is `log:trace`.
-         globalThis.$$eventbus.trigger(logEvent, logEvent !== 'log:trace' ? error.message : error);
+         const errorCode = Number.isInteger(mapping?.exitCode) ? mapping.exitCode :
+          Number.isInteger(error.$$errorCode) ? error.$$errorCode : 1;
+
+         // Informational output such as the `--noop` banner is not an error and is always logged.
+         if (errorFormat === 'json' && !s_INFO_EVENT_REGEX.test(logEvent))
+         {
+            s_LOG_JSON({ error, fatal: false, exitCode: errorCode, logEvent });
+         }
+         else
+         {
+            // log error message unless the log event is `log:trace`.
+            OutputModeHandler.logEvent(logEvent, logEvent !== 'log:trace' ? error.message : error);
+         }
+
+         // Write any buffered log file output before exiting.
+         FileLogHandler.flush();
 
          if (processExit)
          {
@@ -73,19 +231,23 @@ export default function errorHandler(error, processExit = true)
       // TODO: what about PrettyPrintableError that has extra data?
       const prettyPrint = !(error instanceof oclif.Errors.ExitError) && !(error instanceof oclif.Errors.CLIError);
 
-      if (prettyPrint)
+      // Handling of any mapped exit code, Oclif errors and specific error logger installed.
+      const exitCode = Number.isInteger(mapping?.exitCode) ? mapping.exitCode :
+       error.oclif?.exit !== void 0 && error.oclif?.exit !== false ? error.oclif?.exit : 1;
+
+      if (errorFormat === 'json')
       {
-         // Attempt to find the `package.json` from first file path in the normalized error.
-         const normalizedPackageObj = getPackageAndFormat({
-            filepath: normalizedError.firstFilepath,
-            callback: (data) => typeof data.packageObj.name === 'string'
-         });
+         const { normalizedPackageObj, filterPackageObj } = s_GET_PACKAGES(normalizedError, filterError);
+
+         const issueDraft = prettyPrint && issueDraftEnabled ? s_WRITE_ISSUE_DRAFT({ error, normalizedError,
+          filterError, normalizedPackageObj, filterPackageObj, crashMetafilePath }) : void 0;
 
-         // Attempt to find the `package.json` from first file path in the filtered error (likely source of error).
-         const filterPackageObj = getPackageAndFormat({
-            filepath: filterError.firstFilepath,
-            callback: (data) => typeof data.packageObj.name === 'string'
-         });
+         s_LOG_JSON({ error, fatal: true, exitCode, logEvent: 'log:fatal', normalizedError, filterError,
+          normalizedPackageObj, filterPackageObj, crashMetafilePath, issueDraft });
+      }
+      else if (prettyPrint)
+      {
+         const { normalizedPackageObj, filterPackageObj } = s_GET_PACKAGES(normalizedError, filterError);
 
          let bitfield = 0;
          bitfield |= normalizedPackageObj !== void 0 ? 1 : 0;
@@ -134,16 +296,44 @@ export default function errorHandler(error, processExit = true)
                break;
          }
 
+         const causes = s_COLLECT_CAUSES(error);
+
+         if (causes.length > 0) { message += `\n\nNested errors:\n${s_FORMAT_CAUSES(causes)}${s_MESSAGE_SEPARATOR}`; }
+
+         if (typeof crashMetafilePath === 'string')
+         {
+            message += `\n\nA crash metafile archive has been written. Please attach it to any issue report:\n` +
+             `${crashMetafilePath}`;
+         }
+
+         const issueDraft = issueDraftEnabled ? s_WRITE_ISSUE_DRAFT({ error, normalizedError, filterError,
+          normalizedPackageObj, filterPackageObj, crashMetafilePath }) : void 0;
+
+         if (issueDraft !== void 0)
+         {
+            message += `\n\nAn issue report draft has been written:\n${issueDraft.filepath}`;
+
+            // The prefilled issue URL is included in the draft.
+            if (typeof issueDraft.bugsURL === 'string')
+            {
+               message += `\n\nOpen the prefilled issue link in the draft or report the issue at:\n${issueDraft.bugsURL}`;
+            }
+         }
+
          // Log any uncaught errors as fatal.
-         logger.fatal(message, '\n');
+         OutputModeHandler.log('fatal', message, '\n');
+
+         FileLogHandler.write('fatal', message);
       }
       else
       {
-         logger.fatal(error.message);
+         OutputModeHandler.log('fatal', error.message);
+
+         FileLogHandler.write('fatal', error.message);
       }
 
-      // Handling of Oclif errors and specific error logger installed.
-      const exitCode = error.oclif?.exit !== void 0 && error.oclif?.exit !== false ? error.oclif?.exit : 1;
+      // Write any buffered log file output before exiting.
+      FileLogHandler.flush();
 
       if (oclif.Errors.config.errorLogger && error.code !== 'EEXIT')
       {
@@ -165,6 +355,554 @@ export default function errorHandler(error, processExit = true)
    {
       console.error(error.stack);
       console.error(err.stack);
+
+      FileLogHandler.write('fatal', error.stack, '\n', err.stack);
+      FileLogHandler.flush();
+
       if (processExit) { process.exit(1); }
    }
 }
+
+/**
+ * Collects all nested errors from the `cause` and `AggregateError.errors` of an error as a tree. Each nested Error is
+ * normalized and filtered and any associated packages are found. Nested errors beyond the depth limit and repeated
+ * errors (including circular references) are marked and not traversed.
+ *
+ * @param {Error}    error - The error to traverse.
+ *
+ * @param {number}   [depth=1] - The current depth.
+ *
+ * @param {Set<*>}   [seen] - All errors already traversed.
+ *
+ * @returns {object[]} Nested error data.
+ */
+function s_COLLECT_CAUSES(error, depth = 1, seen = new Set([error]))
+{
+   const results = [];
+
+   if (typeof error !== 'object' || error === null) { return results; }
+
+   const inner = [];
+
+   if (error.cause !== void 0) { inner.push({ label: 'cause', value: error.cause }); }
+
+   if (Array.isArray(error.errors))
+   {
+      error.errors.forEach((value, index) => inner.push({ label: `errors[${index}]`, value }));
+   }
+
+   if (inner.length > 0 && depth > s_CAUSE_DEPTH_LIMIT) { return [{ truncated: true }]; }
+
+   for (const { label, value } of inner)
+   {
+      if (seen.has(value))
+      {
+         results.push({ label, repeated: true });
+         continue;
+      }
+
+      seen.add(value);
+
+      const entry = { label, error: value, causes: [] };
+
+      if (value instanceof Error)
+      {
+         entry.normalizedError = globalThis.$$errorParser.normalize({ error: value });
+         entry.filterError = globalThis.$$errorParser.filter({ error: value });
+
+         Object.assign(entry, s_GET_PACKAGES(entry.normalizedError, entry.filterError));
+
+         entry.causes = s_COLLECT_CAUSES(value, depth + 1, seen);
+      }
+
+      results.push(entry);
+   }
+
+   return results;
+}
+
+/**
+ * Creates an issue URL from the `bugs` URL of a package. GitHub and GitLab issue URLs are prefilled with the issue
+ * title and body when the URL is not too long.
+ *
+ * @param {object}   [packageObj] - Package data from `getPackageAndFormat`.
+ *
+ * @param {string}   title - Issue title.
+ *
+ * @param {string}   body - Issue body.
+ *
+ * @returns {string|void} Issue URL.
+ */
+function s_CREATE_ISSUE_URL(packageObj, title, body)
+{
+   const bugsURL = packageObj?.bugsURL;
+
+   if (typeof bugsURL !== 'string' || bugsURL === '') { return void 0; }
+
+   if (!(/^https:\/\/(github\.com|gitlab\.com)\/.+\/issues\/?$/).test(bugsURL)) { return bugsURL; }
+
+   const newURL = `${bugsURL.replace(/\/$/, '')}/new?title=${encodeURIComponent(title)}`;
+   const bodyURL = `${newURL}&body=${encodeURIComponent(body)}`;
+
+   return bodyURL.length <= s_ISSUE_URL_MAX_LENGTH ? bodyURL : newURL;
+}
+
+/**
+ * Creates the JSON error data for nested errors.
+ *
+ * @param {object[]} causes - Nested error data from `s_COLLECT_CAUSES`.
+ *
+ * @returns {object[]} Nested error JSON data.
+ */
+function s_CREATE_JSON_CAUSES(causes)
+{
+   return causes.map((cause) =>
+   {
+      if (cause.truncated) { return { truncated: true }; }
+      if (cause.repeated) { return { relation: cause.label, repeated: true }; }
+
+      if (cause.normalizedError === void 0)
+      {
+         return { relation: cause.label, type: typeof cause.error, message: String(cause.error) };
+      }
+
+      return {
+         relation: cause.label,
+         type: cause.error.constructor?.name || cause.error.name,
+         message: cause.error.message,
+         uuid: { normalized: cause.normalizedError.uuid, filtered: cause.filterError.uuid },
+         stack: {
+            normalized: s_CREATE_JSON_STACK(cause.normalizedError),
+            filtered: s_CREATE_JSON_STACK(cause.filterError)
+         },
+         package: {
+            normalized: s_CREATE_JSON_PACKAGE(cause.normalizedPackageObj),
+            filtered: s_CREATE_JSON_PACKAGE(cause.filterPackageObj)
+         },
+         causes: s_CREATE_JSON_CAUSES(cause.causes)
+      };
+   });
+}
+
+/**
+ * Creates the JSON error data for a package found for an error stack.
+ *
+ * @param {object}   [packageObj] - Package data from `getPackageAndFormat`.
+ *
+ * @returns {{name: string, version: string, bugsURL: string}|null} Package JSON data.
+ */
+function s_CREATE_JSON_PACKAGE(packageObj)
+{
+   if (typeof packageObj !== 'object' || packageObj === null) { return null; }
+
+   return {
+      name: packageObj.name,
+      version: packageObj.version,
+      bugsURL: typeof packageObj.bugsURL === 'string' && packageObj.bugsURL !== '' ? packageObj.bugsURL : null
+   };
+}
+
+/**
+ * Creates the JSON error data for a parsed error stack.
+ *
+ * @param {object}   parsedError - A ParsedError from `@typhonjs-utils/error-parser`.
+ *
+ * @returns {Array<{callsource: string, filepath: string, line: string, col: string}>} Stack JSON data.
+ */
+function s_CREATE_JSON_STACK(parsedError)
+{
+   return parsedError.stack.map((entry) => ({
+      callsource: entry.callsource,
+      filepath: entry.filepath,
+      line: entry.line,
+      col: entry.col
+   }));
+}
+
+/**
+ * Formats nested errors w/ indentation by depth. Each nested Error includes the filtered and normalized trace, UUID
+ * and package info.
+ *
+ * @param {object[]} causes - Nested error data from `s_COLLECT_CAUSES`.
+ *
+ * @param {number}   [depth=1] - The current depth.
+ *
+ * @returns {string} Formatted nested errors.
+ */
+function s_FORMAT_CAUSES(causes, depth = 1)
+{
+   const indent = '   '.repeat(depth);
+
+   let result = '';
+
+   for (const cause of causes)
+   {
+      if (cause.truncated)
+      {
+         result += `${indent}... nested errors beyond a depth of ${s_CAUSE_DEPTH_LIMIT} are not shown.\n`;
+         continue;
+      }
+
+      if (cause.repeated)
+      {
+         result += `${indent}[${cause.label}] references an error already shown.\n`;
+         continue;
+      }
+
+      if (cause.normalizedError === void 0)
+      {
+         result += `${indent}[${cause.label}] ${s_INDENT(String(cause.error), indent).trimStart()}\n`;
+         continue;
+      }
+
+      const { error, normalizedError, filterError } = cause;
+
+      const packageObj = cause.filterPackageObj !== void 0 ? cause.filterPackageObj : cause.normalizedPackageObj;
+
+      result += `${indent}[${cause.label}] ${s_INDENT(`${error.name}: ${error.message}`, indent).trimStart()}\n`;
+      result += `${indent}Error UUID: ${filterError.uuid} (filtered) / ${normalizedError.uuid} (normalized)\n`;
+
+      if (packageObj !== void 0)
+      {
+         result += `${indent}Package: ${packageObj.name} (${packageObj.version})`;
+         result += typeof packageObj.bugsURL === 'string' && packageObj.bugsURL !== '' ?
+          ` - ${packageObj.bugsURL}\n` : '\n';
+      }
+
+      if (filterError.stack.length > 0 && filterError.stack.length !== normalizedError.stack.length)
+      {
+         result += `${indent}Filtered trace:\n${s_INDENT(filterError.toStringTrace(), indent)}`;
+      }
+
+      result += `${indent}Trace:\n${s_INDENT(normalizedError.toStringTrace(), indent)}`;
+
+      result += s_FORMAT_CAUSES(cause.causes, depth + 1);
+   }
+
+   return result;
+}
+
+/**
+ * Returns any mapping registered in ErrorMapHandler for the error. Any error retrieving the mapping is ignored.
+ *
+ * @param {Error}    error - The error handled.
+ *
+ * @returns {{exitCode: number, logEvent: string, fatal: boolean}|void} Any matching mapping.
+ */
+function s_GET_ERROR_MAPPING(error)
+{
+   try
+   {
+      return globalThis.$$eventbus?.triggerSync('typhonjs:oclif:system:handler:error:map:get', error);
+   }
+   catch (err)
+   {
+      return void 0;
+   }
+}
+
+/**
+ * Returns the requested error format from the `--error-format` flag of any command or the `{prefix}_ERROR_FORMAT`
+ * environment variable.
+ *
+ * @param {object}   [command] - Any DynamicCommand running when the error occurred.
+ *
+ * @returns {string} Either `json` or `text`.
+ */
+function s_GET_ERROR_FORMAT(command)
+{
+   let value = command?.cliFlags?.['error-format'];
+
+   if (typeof value !== 'string') { value = s_GET_ENV(command, 'ERROR_FORMAT'); }
+
+   return typeof value === 'string' && value.trim().toLowerCase() === 'json' ? 'json' : 'text';
+}
+
+/**
+ * Returns the value of a CLI environment variable w/ the CLI prefix. The process environment of a DynamicCommand is
+ * already restored when an error is handled, so any *.env file values stored by the command are also checked.
+ *
+ * @param {object}   [command] - Any DynamicCommand running when the error occurred.
+ *
+ * @param {string}   name - The environment variable name without the CLI prefix.
+ *
+ * @returns {string|void} The environment variable value.
+ */
+function s_GET_ENV(command, name)
+{
+   if (typeof globalThis.$$cli_env_prefix !== 'string') { return void 0; }
+
+   const envVar = `${globalThis.$$cli_env_prefix}_${name}`;
+
+   return typeof process.env[envVar] === 'string' ? process.env[envVar] : command?.envFileValues?.[envVar];
+}
+
+/**
+ * Attempts to find the `package.json` associated w/ the first file path of the normalized and filtered errors.
+ *
+ * @param {object}   normalizedError - The normalized ParsedError.
+ *
+ * @param {object}   filterError - The filtered ParsedError.
+ *
+ * @returns {{normalizedPackageObj: object, filterPackageObj: object}} Any package data found.
+ */
+function s_GET_PACKAGES(normalizedError, filterError)
+{
+   // Attempt to find the `package.json` from first file path in the normalized error.
+   const normalizedPackageObj = getPackageAndFormat({
+      filepath: normalizedError.firstFilepath,
+      callback: (data) => typeof data.packageObj.name === 'string'
+   });
+
+   // Attempt to find the `package.json` from first file path in the filtered error (likely source of error).
+   const filterPackageObj = getPackageAndFormat({
+      filepath: filterError.firstFilepath,
+      callback: (data) => typeof data.packageObj.name === 'string'
+   });
+
+   return { normalizedPackageObj, filterPackageObj };
+}
+
+/**
+ * Indents all lines of a string.
+ *
+ * @param {string}   text - Text to indent.
+ *
+ * @param {string}   indent - Indentation.
+ *
+ * @returns {string} Indented text.
+ */
+function s_INDENT(text, indent)
+{
+   return text.replace(/^(?=.)/gm, indent);
+}
+
+/**
+ * Determines if a crash metafile is requested by the `{prefix}_CRASH_METAFILE` environment variable for an error. Only
+ * uncaught fatal errors that are not Oclif errors or SIGINT receive a crash metafile.
+ *
+ * @param {Error}    error - The error handled.
+ *
+ * @returns {boolean} Whether to write a crash metafile.
+ */
+function s_IS_CRASH_METAFILE(error)
+{
+   if (!error || error.message === 'SIGINT' || globalThis.$$eventbus === void 0 ||
+    globalThis.$$errorParser === void 0 || !s_IS_ENV_ENABLED(error.$$command, 'CRASH_METAFILE'))
+   {
+      return false;
+   }
+
+   if (error instanceof oclif.Errors.ExitError || error instanceof oclif.Errors.CLIError) { return false; }
+
+   const mapping = s_GET_ERROR_MAPPING(error);
+
+   return typeof mapping?.fatal === 'boolean' ? mapping.fatal : !(error instanceof NonFatalError) &&
+    !(typeof error.$$error_fatal === 'boolean' && !error.$$error_fatal);
+}
+
+/**
+ * Determines if an opt-in feature is enabled by the `{prefix}_<name>` environment variable being `true` or `1`. The
+ * process environment of a DynamicCommand is already restored when an error is handled, so any *.env file values
+ * stored by the command are also checked.
+ *
+ * @param {object}   [command] - Any DynamicCommand running when the error occurred.
+ *
+ * @param {string}   name - The environment variable name without the prefix; IE `CRASH_METAFILE`.
+ *
+ * @returns {boolean} Whether the feature is enabled.
+ */
+function s_IS_ENV_ENABLED(command, name)
+{
+   const value = s_GET_ENV(command, name);
+
+   return typeof value === 'string' && ['true', '1'].includes(value.trim().toLowerCase());
+}
+
+/**
+ * Removes the oldest issue drafts in the CLI log directory beyond the max issue draft count. Any error is ignored.
+ */
+function s_PRUNE_ISSUE_DRAFTS()
+{
+   try
+   {
+      // Issue draft names begin with a sortable time stamp.
+      const drafts = fs.readdirSync(globalThis.$$cli_log_dir, { withFileTypes: true }).filter(
+       (dirent) => dirent.isFile() && s_ISSUE_DRAFT_REGEX.test(dirent.name)).map((dirent) => dirent.name).sort();
+
+      for (const filename of drafts.slice(0, Math.max(0, drafts.length - s_ISSUE_DRAFT_MAX_COUNT)))
+      {
+         fs.unlinkSync(`${globalThis.$$cli_log_dir}${path.sep}${filename}`);
+      }
+   }
+   catch (err) { /* Pruning issue drafts is best effort */ }
+}
+
+/**
+ * Writes a markdown issue draft for an uncaught fatal error to the CLI log directory. The title and body are redacted
+ * w/ the metafile redaction config before the issue URL is created and older drafts are pruned. Any error writing the
+ * draft is logged and does not prevent error handling.
+ *
+ * @param {object}   data - Error data.
+ *
+ * @param {Error}    data.error - The error handled.
+ *
+ * @param {object}   data.normalizedError - The normalized ParsedError.
+ *
+ * @param {object}   data.filterError - The filtered ParsedError.
+ *
+ * @param {object}   [data.normalizedPackageObj] - Package data for the normalized error.
+ *
+ * @param {object}   [data.filterPackageObj] - Package data for the filtered error.
+ *
+ * @param {string}   [data.crashMetafilePath] - Any crash metafile archive path.
+ *
+ * @returns {{filepath: string, url: string, bugsURL: string}|void} The issue draft file path, any prefilled issue
+ *          URL and the package `bugs` URL.
+ */
+function s_WRITE_ISSUE_DRAFT({ error, normalizedError, filterError, normalizedPackageObj, filterPackageObj,
+ crashMetafilePath })
+{
+   if (typeof globalThis.$$cli_log_dir !== 'string') { return void 0; }
+
+   try
+   {
+      const firstLine = MetaFileHandler.redactText(`${error.name}: ${String(error.message).split('\n')[0]}`,
+       error.$$command);
+
+      const title = firstLine.length > 100 ? `${firstLine.slice(0, 97)}...` : firstLine;
+
+      const packageObj = filterPackageObj !== void 0 ? filterPackageObj : normalizedPackageObj;
+
+      let body = `## Description\n\n<!-- Describe what you were doing when the error occurred. -->\n\n`;
+
+      body += `## Environment\n\n`;
+      body += `- CLI: ${globalThis.$$cli_name}@${globalThis.$$cli_version}\n`;
+
+      if (typeof error.$$command?.id === 'string') { body += `- Command: \`${error.$$command.id}\`\n`; }
+
+      body += `- Node: ${process.version}\n`;
+      body += `- Platform: ${process.platform} (${process.arch})\n`;
+
+      if (packageObj !== void 0) { body += `- Package: ${packageObj.name}@${packageObj.version}\n`; }
+
+      body += `\n## Error\n\n`;
+      body += `- Error UUID (filtered): ${filterError.uuid}\n`;
+      body += `- Error UUID (normalized): ${normalizedError.uuid}\n\n`;
+
+      if (filterError.stack.length > 0)
+      {
+         body += `### Filtered stack\n\n\`\`\`\n${filterError.toString({ limit: s_ISSUE_STACK_LIMIT })}\`\`\`\n\n`;
+      }
+
+      body += `### Stack\n\n\`\`\`\n${normalizedError.toString({ limit: s_ISSUE_STACK_LIMIT })}\`\`\`\n`;
+
+      if (typeof crashMetafilePath === 'string')
+      {
+         body += `\n<!-- Please attach the crash metafile archive: ${path.basename(crashMetafilePath)} -->\n`;
+      }
+
+      // ParsedError uses CRLF line endings.
+      body = MetaFileHandler.redactText(body.replace(/\r\n/g, '\n'), error.$$command);
+
+      const url = s_CREATE_ISSUE_URL(packageObj, title, body);
+
+      const date = new Date();
+      const time = new Date(date.getTime() - (date.getTimezoneOffset() * 60000)).toJSON().slice(0, 19);
+
+      const filepath = `${globalThis.$$cli_log_dir}${path.sep}issue_${time.replace(/:/g, '_')}_${filterError.uuid}.md`;
+
+      fs.mkdirSync(globalThis.$$cli_log_dir, { recursive: true });
+      fs.writeFileSync(filepath, `# ${title}\n\n${typeof url === 'string' ? `Report at: ${url}\n\n` : ''}${body}`);
+
+      s_PRUNE_ISSUE_DRAFTS();
+
+      return { filepath, url, bugsURL: typeof url === 'string' ? packageObj.bugsURL : void 0 };
+   }
+   catch (err)
+   {
+      OutputModeHandler.log('warn', `Could not write issue draft:\n${err.message}`);
+   }
+}
+
+/**
+ * Writes a single line JSON object describing an error to `stderr`. The error is parsed and any associated packages
+ * are found when not provided.
+ *
+ * @param {object}   data - Error data.
+ *
+ * @param {Error}    data.error - The error handled.
+ *
+ * @param {boolean}  data.fatal - Whether the error is fatal.
+ *
+ * @param {number}   data.exitCode - The process exit code.
+ *
+ * @param {string}   data.logEvent - The log event associated w/ the error.
+ *
+ * @param {object}   [data.normalizedError] - The normalized ParsedError.
+ *
+ * @param {object}   [data.filterError] - The filtered ParsedError.
+ *
+ * @param {object}   [data.normalizedPackageObj] - Package data for the normalized error.
+ *
+ * @param {object}   [data.filterPackageObj] - Package data for the filtered error.
+ *
+ * @param {string}   [data.crashMetafilePath] - Any crash metafile archive path.
+ *
+ * @param {{filepath: string, url: string, bugsURL: string}} [data.issueDraft] - Any issue draft written.
+ */
+function s_LOG_JSON({ error, fatal, exitCode, logEvent, normalizedError, filterError, normalizedPackageObj,
+ filterPackageObj, crashMetafilePath, issueDraft })
+{
+   if (normalizedError === void 0) { normalizedError = globalThis.$$errorParser.normalize({ error }); }
+   if (filterError === void 0) { filterError = globalThis.$$errorParser.filter({ error }); }
+
+   if (normalizedPackageObj === void 0 && filterPackageObj === void 0)
+   {
+      ({ normalizedPackageObj, filterPackageObj } = s_GET_PACKAGES(normalizedError, filterError));
+   }
+
+   const data = {
+      type: error.constructor?.name || error.name,
+      message: error.message,
+      fatal,
+      exitCode,
+      logEvent,
+      code: error.code !== void 0 ? error.code : null,
+      cli: { name: globalThis.$$cli_name, version: globalThis.$$cli_version },
+      uuid: { normalized: normalizedError.uuid, filtered: filterError.uuid },
+      stack: { normalized: s_CREATE_JSON_STACK(normalizedError), filtered: s_CREATE_JSON_STACK(filterError) },
+      package: {
+         normalized: s_CREATE_JSON_PACKAGE(normalizedPackageObj),
+         filtered: s_CREATE_JSON_PACKAGE(filterPackageObj)
+      },
+      causes: s_CREATE_JSON_CAUSES(s_COLLECT_CAUSES(error)),
+      crashMetafile: typeof crashMetafilePath === 'string' ? crashMetafilePath : null,
+      issueDraft: issueDraft !== void 0 ? issueDraft : null
+   };
+
+   const json = JSON.stringify(data);
+
+   console.error(json);
+
+   FileLogHandler.write(fatal ? 'fatal' : logEvent.split(':')[1], json);
+}
+
+/**
+ * Writes a crash metafile archive. Any error writing the archive is logged and does not prevent error handling.
+ *
+ * @param {object}   data - Crash data passed to `MetaFileHandler.writeCrashMetafile`.
+ *
+ * @returns {Promise<string|void>} The archive path if written.
+ */
+async function s_WRITE_CRASH_METAFILE(data)
+{
+   try
+   {
+      return await globalThis.$$eventbus.triggerAsync('typhonjs:oclif:system:handler:metafile:write:crash', data);
+   }
+   catch (err)
+   {
+      OutputModeHandler.log('warn', `Could not write crash metafile:\n${err.message}`);
+   }
+}
@@ -1,10 +1,13 @@
+import ProcessEnvHandler from '../env/ProcessEnvHandler.js';
+import FileLogHandler    from '../log/FileLogHandler.js';
+
 /**
- * Removes any temporary environment variables potentially added as DynamicCommand configuration option.
+ * Restores any environment variables potentially added or changed as DynamicCommand configuration option and writes
+ * any buffered log file output.
  */
 export default function finallyHandler()
 {
-   if (Array.isArray(globalThis.$$process_env_key_change))
-   {
-      globalThis.$$process_env_key_change.forEach((entry) => delete process.env[entry]);
-   }
+   ProcessEnvHandler.restoreAll();
+
+   FileLogHandler.flush();
 }
@@ -1,55 +1,353 @@
+import crypto           from 'crypto';
+import fs               from 'fs';
+import os               from 'os';
 import path             from 'path';
 
 import * as Interfaces  from '@oclif/core/lib/interfaces/index.js';  // eslint-disable-line no-unused-vars
 
 import FileArchive      from '@typhonjs-utils/file-archive';
 
+import MetaFileReader   from './MetaFileReader.js';
+import MetaFileRedactor from './MetaFileRedactor.js';
+
+/**
+ * The default metafile archive name template.
+ *
+ * @type {string}
+ */
+const s_DEFAULT_NAME_TEMPLATE = 'logs_{time}';
+
+/**
+ * The supported metafile formats. `dir` writes metafiles to a plain directory.
+ *
+ * @type {string[]}
+ */
+const s_FORMATS = ['zip', 'tar.gz', 'dir'];
+
 /**
  * Writes out meta files defined in _metaFileData of a command.
+ *
+ * The destination, format and name of the archive are defined by the `--metafile-dest`, `--metafile-format` and
+ * `--metafile-name` flags. The name template may include `{time}`, `{command}` and `{uuid}` (error UUID) tokens.
+ *
+ * All metafile data is redacted before archiving. By default any key matching a common secret pattern, the values of
+ * any flag marked `secret` when added to FlagHandler and of any *.env file variable w/ a name matching a secret pattern
+ * are redacted wherever they occur. All values in `env-file-values.json` are redacted as well. Secret values of at
+ * least 6 characters are redacted wherever they occur; shorter values are only redacted where a value exactly matches
+ * and a warning is logged. A summary of all redactions is written to `redaction-summary.json`. Additional key patterns
+ * may be added and the redaction of `env-file-values.json` may be disabled through
+ * `typhonjs:oclif:system:handler:metafile:redact:config:set`.
+ *
+ * Entries added by plugins are redacted as well; files copied from a `filepath` are read and redacted as text. Binary
+ * data can not be redacted; it is written as is and listed under `unredacted` in `redaction-summary.json`.
+ *
+ * After an archive is written older archives in the log directory are pruned by the retention policy defined by the
+ * `--metafile-max-count`, `--metafile-max-age` and `--metafile-max-size` flags. Only files matching the archive naming
+ * pattern are removed and the most recent archive is always kept.
+ *
+ * Every archive includes `manifest.json` as the first entry describing the CLI, runtime environment, loaded plugins,
+ * command run and a SHA-256 checksum of every other entry in the archive.
+ *
+ * JSON entries may be read back from an archive through `typhonjs:oclif:system:handler:metafile:read`; this is used by
+ * DynamicCommand to replay a command run with the `--replay` flag.
+ *
+ * Plugins may contribute additional entries to every archive through `typhonjs:oclif:system:handler:metafile:add`.
+ * Entries are removed through `typhonjs:oclif:system:handler:metafile:remove` or automatically when the plugin that
+ * added them is removed from the plugin manager.
  */
 export default class MetaFileHandler
 {
+   /**
+    * Adds an entry written to every metafile archive. An entry provides either `data` or an existing file / directory
+    * `filepath` to copy. Data may be any value or a sync / async function invoked with the command instance to
+    * provide the data. Strings and Buffers are written as is and any other data is serialized as JSON unless a
+    * `serializer` function is provided. All text is redacted; binary data is written unredacted and listed in the
+    * redaction summary.
+    *
+    * @param {object}            entry - Metafile entry.
+    *
+    * @param {string}            entry.pluginName - The plugin name adding the entry.
+    *
+    * @param {string}            entry.filename - The relative filename in the archive.
+    *
+    * @param {*|Function}        [entry.data] - The data or a sync / async function returning the data.
+    *
+    * @param {string}            [entry.filepath] - An existing file or directory to copy into the archive.
+    *
+    * @param {Function}          [entry.serializer] - A function converting the data to a string or Buffer.
+    */
+   static addEntry(entry = {})
+   {
+      if (typeof entry !== 'object')
+      {
+         throw new TypeError(`MetaFileHandler addEntry: 'entry' is not an 'object'.`);
+      }
+
+      if (typeof entry.pluginName !== 'string')
+      {
+         throw new TypeError(`MetaFileHandler addEntry: 'entry.pluginName' is not a 'string'.`);
+      }
+
+      if (typeof entry.filename !== 'string')
+      {
+         throw new TypeError(`MetaFileHandler addEntry: 'entry.filename' is not a 'string'.`);
+      }
+
+      if (entry.filepath !== void 0 && typeof entry.filepath !== 'string')
+      {
+         throw new TypeError(`MetaFileHandler addEntry: 'entry.filepath' is not a 'string'.`);
+      }
+
+      if ((entry.data === void 0) === (entry.filepath === void 0))
+      {
+         throw new TypeError(`MetaFileHandler addEntry: 'entry' must define only one of 'data' or 'filepath'.`);
+      }
+
+      if (entry.serializer !== void 0 && typeof entry.serializer !== 'function')
+      {
+         throw new TypeError(`MetaFileHandler addEntry: 'entry.serializer' is not a 'function'.`);
+      }
+
+      if (MetaFileHandler._entries.some((existing) => existing.filename === entry.filename))
+      {
+         throw new Error(`MetaFileHandler addEntry: an entry for '${entry.filename}' has already been added.`);
+      }
+
+      MetaFileHandler._entries.push({
+         pluginName: entry.pluginName,
+         filename: entry.filename,
+         data: entry.data,
+         filepath: entry.filepath,
+         serializer: entry.serializer
+      });
+   }
+
+   /**
+    * Redacts secrets from text outside of a metafile archive using the same redaction config, secret flags and secret
+    * values from *.env files applied to the archives of the given command.
+    *
+    * @param {string}             text - Text to redact.
+    *
+    * @param {Interfaces.Command} [command] - Any command running when the text was created.
+    *
+    * @returns {string} Redacted text.
+    */
+   static redactText(text, command)
+   {
+      if (typeof text !== 'string')
+      {
+         throw new TypeError(`MetaFileHandler redactText: 'text' is not a 'string'.`);
+      }
+
+      return s_CREATE_REDACTOR(command).redactString(text, '');
+   }
+
+   /**
+    * Removes all entries added by a plugin. If a filename is provided only that entry is removed.
+    *
+    * @param {object}   query - Query object
+    *
+    * @param {string}   query.pluginName - The plugin name to remove entries for.
+    *
+    * @param {string}   [query.filename] - Only remove the entry with this filename.
+    *
+    * @returns {boolean} True if any entries were removed.
+    */
+   static removeEntries(query = {})
+   {
+      if (typeof query !== 'object')
+      {
+         throw new TypeError(`MetaFileHandler removeEntries: 'query' is not an 'object'.`);
+      }
+
+      if (typeof query.pluginName !== 'string')
+      {
+         throw new TypeError(`MetaFileHandler removeEntries: 'query.pluginName' is not a 'string'.`);
+      }
+
+      const length = MetaFileHandler._entries.length;
+
+      MetaFileHandler._entries = MetaFileHandler._entries.filter((entry) => entry.pluginName !== query.pluginName ||
+       (typeof query.filename === 'string' && entry.filename !== query.filename));
+
+      return MetaFileHandler._entries.length !== length;
+   }
+
+   /**
+    * Adds additional key patterns and / or enables the redaction of all values in `env-file-values.json`.
+    *
+    * @param {object}               config - Redaction config.
+    *
+    * @param {Array<string|RegExp>} [config.keyPatterns] - Additional key patterns; strings must exactly match a key.
+    *
+    * @param {boolean}              [config.redactEnvFile] - When false only secret values in `env-file-values.json` are
+    *                                 redacted.
+    */
+   static setRedactConfig(config = {})
+   {
+      if (typeof config !== 'object')
+      {
+         throw new TypeError(`MetaFileHandler setRedactConfig: 'config' is not an 'object'.`);
+      }
+
+      if (config.keyPatterns !== void 0)
+      {
+         if (!Array.isArray(config.keyPatterns) || !config.keyPatterns.every(
+          (pattern) => typeof pattern === 'string' || pattern instanceof RegExp))
+         {
+            throw new TypeError(
+             `MetaFileHandler setRedactConfig: 'config.keyPatterns' is not an array of 'string' or 'RegExp'.`);
+         }
+
+         MetaFileHandler._redactConfig.keyPatterns.push(...config.keyPatterns);
+      }
+
+      if (config.redactEnvFile !== void 0)
+      {
+         if (typeof config.redactEnvFile !== 'boolean')
+         {
+            throw new TypeError(`MetaFileHandler setRedactConfig: 'config.redactEnvFile' is not a 'boolean'.`);
+         }
+
+         MetaFileHandler._redactConfig.redactEnvFile = config.redactEnvFile;
+      }
+   }
+
+   /**
+    * Writes out a crash metafile archive for an uncaught fatal error. The archive includes `error.json` with the
+    * normalized and filtered error traces, error UUIDs and any associated package info along with the metafiles of
+    * any command that was running when the error occurred.
+    *
+    * @param {object}             data - Crash data.
+    *
+    * @param {Error}              data.error - The uncaught error.
+    *
+    * @param {object}             data.normalizedError - The normalized error from `$$errorParser`.
+    *
+    * @param {object}             data.filterError - The filtered error from `$$errorParser`.
+    *
+    * @param {object}             [data.normalizedPackageObj] - Package info for the normalized error.
+    *
+    * @param {object}             [data.filterPackageObj] - Package info for the filtered error.
+    *
+    * @param {Interfaces.Command} [data.command] - Any command running when the error occurred.
+    *
+    * @returns {Promise<string|void>} Returns a promise which resolves with the archive path.
+    */
+   static async writeCrashMetafile({ error, normalizedError, filterError, normalizedPackageObj, filterPackageObj,
+    command })
+   {
+      const uuid = filterError.stack.length > 0 ? filterError.uuid : normalizedError.uuid;
+
+      const errorData = {
+         name: error.name,
+         message: error.message,
+         cli: globalThis.$$cli_name_version,
+         normalized: {
+            uuid: normalizedError.uuid,
+            trace: normalizedError.toString(),
+            package: normalizedPackageObj
+         },
+         filtered: {
+            uuid: filterError.uuid,
+            trace: filterError.toString(),
+            package: filterPackageObj
+         }
+      };
+
+      return MetaFileHandler.writeMetafiles(command, {
+         uuid,
+         name: 'crash_{time}_{uuid}',
+         entries: [{ filename: 'error.json', data: errorData }],
+         error
+      });
+   }
+
    /**
     * Writes out a time stamped compressed file including the CLI config, CLI flags, CLI command data to users home
-    * directory.
+    * directory or the destination defined by `--metafile-dest`.
+    *
+    * @param {Interfaces.Command} [command] - The Oclif command instance to log.
+    *
+    * @param {object}             [options] - Optional parameters.
+    *
+    * @param {string}             [options.uuid] - An error UUID for the `{uuid}` name template token.
     *
-    * @param {Interfaces.Command} command - The Oclif command instance to log.
+    * @param {string}             [options.name] - A name template overriding `--metafile-name`.
     *
-    * @returns {Promise<void>} Returns a promise which resolves when archive is finalized.
+    * @param {Array<{filename: string, data: *}>} [options.entries] - Additional JSON entries to write.
+    *
+    * @param {Error}              [options.error] - Any error that occurred running the command for the exit status.
+    *
+    * @returns {Promise<string|void>} Returns a promise which resolves with the archive path when archive is finalized
+    *                                 and pruned.
     * @private
     */
-   static async writeMetafiles(command)
+   static async writeMetafiles(command, { uuid, name, entries = [], error } = {})
    {
       // Validate _metaFileData
-      const metaFileData = command.constructor._metaFileData;
+      let metaFileData = command !== void 0 ? command.constructor._metaFileData : [];
 
       if (!Array.isArray(metaFileData))
       {
          globalThis.$$eventbus.trigger('log:warn',
           'Could not write metafile logs as <CommandClass>._metaFileData is not defined / an array.');
-         return;
+
+         if (entries.length === 0) { return; }
+
+         metaFileData = [];
       }
 
       // No data to write.
-      if (metaFileData.length === 0)
+      if (metaFileData.length === 0 && entries.length === 0 && MetaFileHandler._entries.length === 0)
       {
          return;
       }
 
-      const archiveDir = globalThis.$$cli_log_dir;
-      const compressFormat = command.config.windows ? 'zip' : 'tar.gz';
+      const cliFlags = typeof command?.cliFlags === 'object' ? command.cliFlags : {};
 
-      const fileArchive = new FileArchive({ compressFormat, eventbus: globalThis.$$eventbus });
+      const archiveDir = typeof cliFlags['metafile-dest'] === 'string' ?
+       path.resolve(globalThis.$$cli_baseCWD, cliFlags['metafile-dest']) : globalThis.$$cli_log_dir;
 
-      const date = new Date();
-      const currentTime = date.getTime() - (date.getTimezoneOffset() * 60000);
+      const compressFormat = s_FORMATS.includes(cliFlags['metafile-format']) ? cliFlags['metafile-format'] :
+       process.platform === 'win32' ? 'zip' : 'tar.gz';
 
-      const archiveFilename =
-       `${archiveDir}${path.sep}logs_${(new Date(currentTime).toJSON().slice(0, 19))}`.replace(/:/g, '_');
+      const nameTemplate = typeof name === 'string' ? name : typeof cliFlags['metafile-name'] === 'string' ?
+       cliFlags['metafile-name'] : s_DEFAULT_NAME_TEMPLATE;
 
-      globalThis.$$eventbus.trigger('log:info', `Writing metafile logs to: ${archiveFilename}.${compressFormat}`);
+      const archiveFilename = `${archiveDir}${path.sep}${s_FORMAT_NAME(nameTemplate, command?.id, uuid)}`;
 
-      fileArchive.archiveCreate({ filepath: archiveFilename });
+      let archivePath, fileArchive;
+
+      if (compressFormat === 'dir')
+      {
+         // Without an active archive files are written relative to the directory.
+         fileArchive = new FileArchive({ relativePath: archiveFilename, eventbus: globalThis.$$eventbus });
+         archivePath = archiveFilename;
+      }
+      else
+      {
+         fileArchive = new FileArchive({ compressFormat, eventbus: globalThis.$$eventbus });
+         archivePath = `${archiveFilename}.${compressFormat}`;
+      }
+
+      globalThis.$$eventbus.trigger('log:info', `Writing metafile logs to: ${archivePath}`);
+
+      if (compressFormat !== 'dir') { fileArchive.archiveCreate({ filepath: archiveFilename }); }
+
+      const redactor = s_CREATE_REDACTOR(command);
+
+      if (redactor.shortSecretCount > 0)
+      {
+         globalThis.$$eventbus.trigger('log:warn', `${redactor.shortSecretCount} secret value(s) shorter than ` +
+          `${MetaFileRedactor.MIN_SECRET_LENGTH} characters are only redacted where a value exactly matches.`);
+      }
+
+      // Stores the SHA-256 checksum of each entry for the manifest.
+      const checksums = {};
+
+      // Stores all entries which are written after the manifest so that archives are identified by the first entry.
+      const files = [];
 
       for (let cntr = 0; cntr < metaFileData.length; cntr++)
       {
@@ -77,13 +375,184 @@ export default class MetaFileHandler
          }
 
          // Write out data for given key and filename.
-         fileArchive.writeFile({
-            data: JSON.stringify(command[data.key], null, 3),
-            filepath: data.filename
-         });
+         const output = JSON.stringify(redactor.redact(command[data.key], data.filename), null, 3);
+
+         s_ADD_FILE(files, checksums, output, data.filename);
       }
 
-      return fileArchive.archiveFinalize();
+      for (const entry of entries)
+      {
+         const output = JSON.stringify(redactor.redact(entry.data, entry.filename), null, 3);
+
+         s_ADD_FILE(files, checksums, output, entry.filename);
+      }
+
+      // Write any entries added by plugins.
+      for (const entry of MetaFileHandler._entries)
+      {
+         await s_ADD_ENTRY(files, checksums, redactor, entry, command);
+      }
+
+      s_ADD_FILE(files, checksums, JSON.stringify(redactor.getSummary(), null, 3), 'redaction-summary.json');
+
+      const manifest = s_CREATE_MANIFEST(command, error, checksums);
+
+      fileArchive.writeFile({
+         data: JSON.stringify(redactor.redact(manifest, 'manifest.json'), null, 3),
+         filepath: 'manifest.json'
+      });
+
+      for (const file of files) { fileArchive.writeFile(file); }
+
+      if (compressFormat !== 'dir') { await fileArchive.archiveFinalize(); }
+
+      await MetaFileHandler.pruneMetafiles(archiveDir, { ...cliFlags, 'metafile-name': nameTemplate });
+
+      return archivePath;
+   }
+
+   /**
+    * Removes metafile archives from the given directory according to the retention policy. Archives are removed when
+    * beyond the max count, older than the max age or beyond the max total size. A value of `0` disables any limit.
+    * Only archives matching the full metafile archive name generated from the name template that also have the
+    * `manifest.json` written as the first entry of each archive are removed; any other file or directory is never
+    * touched. Pruning is refused when the archive directory is the current working directory or the user home
+    * directory. The most recent archive is always kept.
+    *
+    * @param {string}   archiveDir - The directory containing metafile archives.
+    *
+    * @param {object}   [policy] - Retention policy; typically the parsed CLI flags.
+    *
+    * @param {string}   [policy.metafile-name] - The archive name template.
+    *
+    * @param {number}   [policy.metafile-max-count] - Max number of archives.
+    *
+    * @param {number}   [policy.metafile-max-age] - Max age of archives in days.
+    *
+    * @param {number}   [policy.metafile-max-size] - Max total size of archives in MB.
+    *
+    * @returns {Promise<string[]>} The file paths removed.
+    */
+   static async pruneMetafiles(archiveDir, policy = {})
+   {
+      const maxCount = s_TO_LIMIT(policy['metafile-max-count']);
+      const maxAge = s_TO_LIMIT(policy['metafile-max-age']) * 86400000;
+      const maxSize = s_TO_LIMIT(policy['metafile-max-size']) * 1048576;
+
+      if (maxCount === 0 && maxAge === 0 && maxSize === 0) { return []; }
+
+      const resolvedDir = path.resolve(archiveDir);
+
+      if ([globalThis.$$cli_baseCWD, process.cwd(), os.homedir()].some((dir) => typeof dir === 'string' &&
+       path.resolve(dir) === resolvedDir))
+      {
+         globalThis.$$eventbus.trigger('log:warn', `Skipping removal of old metafile archives as the metafile ` +
+          `destination is the current working directory or home directory:\n${resolvedDir}`);
+
+         return [];
+      }
+
+      let filenames;
+
+      try
+      {
+         filenames = await fs.promises.readdir(archiveDir);
+      }
+      catch (err)
+      {
+         return [];
+      }
+
+      const archiveRegex = s_CREATE_ARCHIVE_REGEX(typeof policy['metafile-name'] === 'string' ?
+       policy['metafile-name'] : s_DEFAULT_NAME_TEMPLATE);
+
+      const archives = [];
+
+      for (const filename of filenames)
+      {
+         const match = archiveRegex.exec(filename);
+
+         if (match === null) { continue; }
+
+         const filepath = `${archiveDir}${path.sep}${filename}`;
+         const stats = await fs.promises.lstat(filepath);
+
+         // Archive files require a suffix and directories must not have one.
+         const isFile = stats.isFile() && match[1] !== void 0;
+         const isDirectory = stats.isDirectory() && match[1] === void 0;
+
+         if ((!isFile && !isDirectory) || !(await s_IS_METAFILE_ARCHIVE(filepath))) { continue; }
+
+         archives.push({ filepath, mtime: stats.mtimeMs, size: isFile ? stats.size : await s_GET_DIR_SIZE(filepath) });
+      }
+
+      // Sort newest first.
+      archives.sort((a, b) => b.mtime - a.mtime);
+
+      const now = Date.now();
+      const removed = [];
+
+      let totalSize = 0;
+
+      for (let cntr = 0; cntr < archives.length; cntr++)
+      {
+         const archive = archives[cntr];
+
+         totalSize += archive.size;
+
+         // Always keep the most recent archive.
+         if (cntr === 0) { continue; }
+
+         if ((maxCount > 0 && cntr >= maxCount) || (maxAge > 0 && now - archive.mtime > maxAge) ||
+          (maxSize > 0 && totalSize > maxSize))
+         {
+            try
+            {
+               await fs.promises.rm(archive.filepath, { recursive: true, force: true });
+               removed.push(archive.filepath);
+
+               globalThis.$$eventbus.trigger('log:verbose', `Removed metafile archive: ${archive.filepath}`);
+            }
+            catch (err)
+            {
+               globalThis.$$eventbus.trigger('log:warn',
+                `Could not remove metafile archive: ${archive.filepath}\n${err.message}`);
+            }
+         }
+      }
+
+      return removed;
+   }
+
+   /**
+    * Reads and parses JSON entries from a metafile archive or directory. Entries not found in the archive are not
+    * included in the result.
+    *
+    * @param {string}   filepath - Path to a metafile archive or directory.
+    *
+    * @param {string[]} [filenames] - The relative filenames of the JSON entries to read.
+    *
+    * @returns {Promise<object>} Relative filename to parsed entry data.
+    */
+   static async readMetafiles(filepath, filenames = ['manifest.json'])
+   {
+      const entries = await MetaFileReader.read(filepath, filenames);
+
+      const results = {};
+
+      for (const [filename, buffer] of Object.entries(entries))
+      {
+         try
+         {
+            results[filename] = JSON.parse(buffer.toString('utf8'));
+         }
+         catch (err)
+         {
+            throw new Error(`MetaFileHandler readMetafiles: could not parse '${filename}':\n${err.message}`);
+         }
+      }
+
+      return results;
    }
 
    /**
@@ -97,7 +566,397 @@ export default class MetaFileHandler
     */
    static onPluginLoad(ev)
    {
+      ev.eventbus.on(`typhonjs:oclif:system:handler:metafile:add`, MetaFileHandler.addEntry, MetaFileHandler,
+       { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:metafile:read`, MetaFileHandler.readMetafiles, MetaFileHandler,
+       { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:metafile:remove`, MetaFileHandler.removeEntries, MetaFileHandler,
+       { guard: true });
+
       ev.eventbus.on(`typhonjs:oclif:system:handler:metafile:write`, MetaFileHandler.writeMetafiles,
        MetaFileHandler, { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:metafile:write:crash`, MetaFileHandler.writeCrashMetafile,
+       MetaFileHandler, { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:metafile:redact:config:set`, MetaFileHandler.setRedactConfig,
+       MetaFileHandler, { guard: true });
+
+      // Remove any entries associated with a plugin when it is removed from the plugin manager.
+      ev.eventbus.on(`typhonjs:plugin:manager:plugin:removed`, (pluginData) =>
+      {
+         const pluginName = pluginData?.plugin?.name;
+
+         if (typeof pluginName === 'string') { MetaFileHandler.removeEntries({ pluginName }); }
+      });
+   }
+
+   /**
+    * Clears all entries added by plugins when MetaFileHandler is removed from the plugin manager.
+    *
+    * @see https://www.npmjs.com/package/@typhonjs-plugin/manager
+    *
+    * @ignore
+    */
+   static onPluginUnload()
+   {
+      MetaFileHandler._entries = [];
+   }
+}
+
+/**
+ * Stores metafile entries added by plugins.
+ *
+ * @type {Array<{pluginName: string, filename: string, data: *, filepath: string, serializer: Function}>}
+ * @private
+ */
+MetaFileHandler._entries = [];
+
+/**
+ * Creates the archive manifest describing the CLI, runtime environment, loaded plugins, command run and entry
+ * checksums.
+ *
+ * @param {Interfaces.Command} [command] - The Oclif command instance to log.
+ *
+ * @param {Error}              [error] - Any error that occurred running the command.
+ *
+ * @param {object}             checksums - Entry checksums.
+ *
+ * @returns {object} Manifest data.
+ */
+function s_CREATE_MANIFEST(command, error, checksums)
+{
+   let plugins = [];
+
+   if (globalThis.$$pluginManager !== void 0)
+   {
+      plugins = globalThis.$$pluginManager.getPluginData().map((pluginData) => ({
+         name: pluginData.plugin.name,
+         target: pluginData.plugin.target,
+         type: pluginData.plugin.type
+      }));
    }
+
+   let exitCode = 0;
+
+   if (error)
+   {
+      // Any exit code mapped to the error in ErrorMapHandler takes precedence.
+      const mapping = globalThis.$$eventbus?.triggerSync('typhonjs:oclif:system:handler:error:map:get', error);
+
+      if (Number.isInteger(mapping?.exitCode))
+      {
+         exitCode = mapping.exitCode;
+      }
+      else if (typeof error.$$error_fatal === 'boolean' && !error.$$error_fatal)
+      {
+         exitCode = Number.isInteger(error.$$errorCode) ? error.$$errorCode : 1;
+      }
+      else
+      {
+         exitCode = error.oclif?.exit !== void 0 && error.oclif?.exit !== false ? error.oclif.exit : 1;
+      }
+   }
+
+   return {
+      cli: {
+         name: globalThis.$$cli_name,
+         version: globalThis.$$cli_version
+      },
+      environment: {
+         node: process.version,
+         platform: process.platform,
+         arch: process.arch
+      },
+      plugins,
+      command: {
+         id: command?.id,
+         argv: Array.isArray(command?.argv) ? command.argv : [],
+         startTime: command?.startTime instanceof Date ? command.startTime.toISOString() : void 0,
+         endTime: new Date().toISOString(),
+         exitStatus: {
+            code: exitCode,
+            error: error ? error.message : void 0
+         }
+      },
+      checksums
+   };
+}
+
+/**
+ * Creates a regex matching archive names created from the given name template. Tokens only match the exact shape
+ * generated by `s_FORMAT_NAME`. The first capture group is any archive file suffix.
+ *
+ * @param {string}   nameTemplate - The archive name template.
+ *
+ * @returns {RegExp} Archive name regex.
+ */
+function s_CREATE_ARCHIVE_REGEX(nameTemplate)
+{
+   const pattern = nameTemplate.split(/({time}|{command}|{uuid})/).map((part) =>
+   {
+      switch (part)
+      {
+         case '{time}':
+            return '\\d{4}-\\d{2}-\\d{2}T\\d{2}_\\d{2}_\\d{2}';
+
+         case '{command}':
+            return '[A-Za-z0-9_-]*';
+
+         case '{uuid}':
+            return '(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})?';
+
+         default:
+            return part.replace(/[:\\/]/g, '_').replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      }
+   }).join('');
+
+   return new RegExp(`^${pattern}(\\.zip|\\.tar\\.gz)?$`);
+}
+
+/**
+ * Returns whether a file or directory is a metafile archive by checking for the `manifest.json` written as the first
+ * entry of each archive. Archives are not decompressed beyond the first entry header.
+ *
+ * @param {string}   filepath - Path to a potential metafile archive or directory.
+ *
+ * @returns {Promise<boolean>} Whether the path is a metafile archive.
+ */
+async function s_IS_METAFILE_ARCHIVE(filepath)
+{
+   try
+   {
+      return await MetaFileReader.isMetafileArchive(filepath);
+   }
+   catch (err)
+   {
+      return false;
+   }
+}
+
+/**
+ * Creates an archive name from the given name template. Any characters not valid in a filename are replaced.
+ *
+ * @param {string}   nameTemplate - The archive name template.
+ *
+ * @param {string}   [commandId] - The command ID.
+ *
+ * @param {string}   [uuid] - An error UUID.
+ *
+ * @returns {string} Archive name.
+ */
+function s_FORMAT_NAME(nameTemplate, commandId = '', uuid = '')
+{
+   const date = new Date();
+   const currentTime = date.getTime() - (date.getTimezoneOffset() * 60000);
+
+   const time = new Date(currentTime).toJSON().slice(0, 19);
+
+   return nameTemplate.replace(/{time}/g, time).replace(/{command}/g, commandId || '').replace(/{uuid}/g, uuid || '')
+    .replace(/[:\\/]/g, '_');
+}
+
+/**
+ * Returns the total size of all files in a directory.
+ *
+ * @param {string}   dirpath - Directory path.
+ *
+ * @returns {Promise<number>} Total size in bytes.
+ */
+async function s_GET_DIR_SIZE(dirpath)
+{
+   let size = 0;
+
+   for (const dirent of await fs.promises.readdir(dirpath, { withFileTypes: true }))
+   {
+      const filepath = `${dirpath}${path.sep}${dirent.name}`;
+
+      if (dirent.isDirectory()) { size += await s_GET_DIR_SIZE(filepath); }
+      else if (dirent.isFile()) { size += (await fs.promises.stat(filepath)).size; }
+   }
+
+   return size;
+}
+
+/**
+ * Converts a retention policy value to a non-negative integer; `0` for any invalid value.
+ *
+ * @param {*}  value - Retention policy value.
+ *
+ * @returns {number} Non-negative integer limit.
+ */
+function s_TO_LIMIT(value)
+{
+   const limit = Number.parseInt(value, 10);
+
+   return Number.isInteger(limit) && limit > 0 ? limit : 0;
+}
+
+/**
+ * Stores the redaction config.
+ *
+ * @type {{keyPatterns: Array<string|RegExp>, redactEnvFile: boolean}}
+ * @private
+ */
+MetaFileHandler._redactConfig = {
+   keyPatterns: [/passw(or)?d/i, /secret/i, /token/i, /api[-_]?key/i, /^authorization$/i, /credential/i,
+    /private[-_]?key/i],
+   redactEnvFile: true
+};
+
+/**
+ * Creates a redactor for the given command from the redaction config, secret flags and *.env file values. Only *.env
+ * file values w/ a name matching a key pattern are secret values; all values are redacted in the *.env file metafile.
+ *
+ * @param {Interfaces.Command} [command] - The Oclif command instance to log.
+ *
+ * @returns {MetaFileRedactor} Redactor for the command metafiles.
+ */
+function s_CREATE_REDACTOR(command)
+{
+   const flags = typeof command?.constructor.flags === 'object' ? command.constructor.flags : {};
+   const cliFlags = typeof command?.cliFlags === 'object' ? command.cliFlags : {};
+
+   const keyPatterns = [...MetaFileHandler._redactConfig.keyPatterns];
+   const secretValues = [];
+
+   for (const [flagName, flag] of Object.entries(flags))
+   {
+      if (typeof flag !== 'object' || flag === null || flag.secret !== true) { continue; }
+
+      keyPatterns.push(flagName);
+
+      secretValues.push(...[].concat(cliFlags[flagName]));
+
+      if (typeof flag.$$envVar === 'string') { secretValues.push(process.env[flag.$$envVar]); }
+   }
+
+   const redactedFiles = [];
+
+   if (MetaFileHandler._redactConfig.redactEnvFile)
+   {
+      const metaFileData = Array.isArray(command?.constructor._metaFileData) ? command.constructor._metaFileData : [];
+
+      redactedFiles.push(...metaFileData.filter((data) => data?.key === 'envFileValues').map((data) => data.filename));
+   }
+
+   // The command stores *.env file values as the process environment may already be restored.
+   const envValues = typeof command?.envFileValues === 'object' ? command.envFileValues : {};
+
+   return new MetaFileRedactor({ keyPatterns, secretValues, envValues, redactedFiles });
+}
+
+/**
+ * Adds a metafile entry added by a plugin to the archive files. Any error is logged as a warning and the entry is
+ * skipped.
+ *
+ * @param {object[]}             files - Stores archive files.
+ *
+ * @param {object}               checksums - Stores entry checksums.
+ *
+ * @param {MetaFileRedactor}     redactor - The redactor for the archive.
+ *
+ * @param {object}               entry - The metafile entry.
+ *
+ * @param {Interfaces.Command}   [command] - The Oclif command instance to log.
+ *
+ * @returns {Promise<void>}
+ */
+async function s_ADD_ENTRY(files, checksums, redactor, entry, command)
+{
+   try
+   {
+      if (typeof entry.filepath === 'string')
+      {
+         await s_ADD_PATH(files, checksums, redactor, entry.filepath, entry.filename);
+         return;
+      }
+
+      const data = typeof entry.data === 'function' ? await entry.data(command) : entry.data;
+
+      if (data === void 0 || data === null)
+      {
+         globalThis.$$eventbus.trigger('log:warn',
+          `Skipping metafile entry '${entry.filename}' from '${entry.pluginName}' as no data is provided.`);
+         return;
+      }
+
+      let output;
+
+      if (typeof entry.serializer === 'function')
+      {
+         output = await entry.serializer(data);
+      }
+      else if (typeof data === 'string' || Buffer.isBuffer(data))
+      {
+         output = data;
+      }
+      else
+      {
+         output = JSON.stringify(redactor.redact(data, entry.filename), null, 3);
+      }
+
+      if (typeof output === 'string') { output = redactor.redactString(output, entry.filename); }
+      else if (Buffer.isBuffer(output)) { output = redactor.redactBuffer(output, entry.filename); }
+
+      s_ADD_FILE(files, checksums, output, entry.filename);
+   }
+   catch (err)
+   {
+      globalThis.$$eventbus.trigger('log:warn',
+       `Skipping metafile entry '${entry.filename}' from '${entry.pluginName}':\n${err.message}`);
+   }
+}
+
+/**
+ * Adds a file or all files in a directory to the archive files. Each file is read and redacted; binary files are
+ * added as is and recorded as unredacted in the redaction summary.
+ *
+ * @param {object[]}          files - Stores archive files.
+ *
+ * @param {object}            checksums - Stores entry checksums.
+ *
+ * @param {MetaFileRedactor}  redactor - The redactor for the archive.
+ *
+ * @param {string}            src - Source file or directory path.
+ *
+ * @param {string}            dest - Relative destination path in the archive.
+ *
+ * @returns {Promise<void>}
+ */
+async function s_ADD_PATH(files, checksums, redactor, src, dest)
+{
+   const stats = await fs.promises.stat(src);
+
+   if (stats.isDirectory())
+   {
+      for (const filename of await fs.promises.readdir(src))
+      {
+         await s_ADD_PATH(files, checksums, redactor, `${src}${path.sep}${filename}`, `${dest}/${filename}`);
+      }
+   }
+   else if (stats.isFile())
+   {
+      s_ADD_FILE(files, checksums, redactor.redactBuffer(await fs.promises.readFile(src), dest), dest);
+   }
+}
+
+/**
+ * Adds a file to the archive files storing the SHA-256 checksum of the data.
+ *
+ * @param {object[]}       files - Stores archive files.
+ *
+ * @param {object}         checksums - Stores entry checksums.
+ *
+ * @param {string|Buffer}  data - Data to write.
+ *
+ * @param {string}         filepath - Relative file path in the archive.
+ */
+function s_ADD_FILE(files, checksums, data, filepath)
+{
+   checksums[filepath] = crypto.createHash('sha256').update(data).digest('hex');
+
+   files.push({ data, filepath });
 }
@@ -0,0 +1,441 @@
+import fs     from 'fs';
+import path   from 'path';
+import zlib   from 'zlib';
+
+/**
+ * The number of bytes read from the start of an archive file to find the first entry header.
+ *
+ * @type {number}
+ */
+const s_HEADER_READ_LENGTH = 4096;
+
+/**
+ * The manifest written as the first entry of every metafile archive.
+ *
+ * @type {string}
+ */
+const s_MANIFEST_FILENAME = 'manifest.json';
+
+/**
+ * The default max number of entries in an archive.
+ *
+ * @type {number}
+ */
+const s_MAX_ENTRY_COUNT = 10000;
+
+/**
+ * The default max size in bytes of an archive file and of all decompressed archive data.
+ *
+ * @type {number}
+ */
+const s_MAX_OUTPUT_LENGTH = 64 * 1024 * 1024;
+
+/**
+ * Reads entries from metafile archives written by MetaFileHandler. All metafile formats are supported: `zip`,
+ * `tar.gz` and `dir`. Only the exact layout of the zip and tar formats written by `@typhonjs-utils/file-archive` is
+ * supported; regular file entries w/ ustar headers and PAX `path` records for tar and stored / deflated entries without
+ * zip64 or encryption for zip. Any other layout is rejected w/ an error. Archives are limited in size, decompressed
+ * size and entry count; by default 64MB and 10000 entries.
+ */
+export default class MetaFileReader
+{
+   /**
+    * Returns whether the given path is a metafile archive. Archive files must have `manifest.json` as the first entry;
+    * only the first entry header is read and at most the first few kilobytes of a `tar.gz` archive are decompressed.
+    * Directories must contain `manifest.json`.
+    *
+    * @param {string}   filepath - Path to a potential metafile archive or directory.
+    *
+    * @returns {Promise<boolean>} Whether the path is a metafile archive.
+    */
+   static async isMetafileArchive(filepath)
+   {
+      if (typeof filepath !== 'string')
+      {
+         throw new TypeError(`MetaFileReader isMetafileArchive: 'filepath' is not a 'string'.`);
+      }
+
+      const stats = await fs.promises.stat(filepath);
+
+      if (stats.isDirectory())
+      {
+         const manifestPath = path.resolve(filepath, s_MANIFEST_FILENAME);
+
+         return fs.existsSync(manifestPath) && (await fs.promises.stat(manifestPath)).isFile();
+      }
+
+      const handle = await fs.promises.open(filepath, 'r');
+
+      let header;
+
+      try
+      {
+         const buffer = Buffer.alloc(s_HEADER_READ_LENGTH);
+         const { bytesRead } = await handle.read(buffer, 0, buffer.length, 0);
+
+         header = buffer.subarray(0, bytesRead);
+      }
+      finally
+      {
+         await handle.close();
+      }
+
+      if (filepath.endsWith('.tar.gz') || filepath.endsWith('.tgz'))
+      {
+         let tar;
+
+         try
+         {
+            // Decompress only the data read allowing a truncated stream.
+            tar = zlib.gunzipSync(header, { finishFlush: zlib.constants.Z_SYNC_FLUSH });
+         }
+         catch (err)
+         {
+            return false;
+         }
+
+         return tar.length >= 512 && s_TAR_STRING(tar, 0, 100) === s_MANIFEST_FILENAME;
+      }
+
+      if (filepath.endsWith('.zip'))
+      {
+         // The first local file header.
+         return header.length >= 30 && header.readUInt32LE(0) === 0x04034b50 &&
+          header.toString('utf8', 30, 30 + header.readUInt16LE(26)) === s_MANIFEST_FILENAME;
+      }
+
+      return false;
+   }
+
+   /**
+    * Reads the given entries from a metafile archive. Entries not found in the archive are not included in the result.
+    *
+    * @param {string}   filepath - Path to a metafile archive or directory.
+    *
+    * @param {string[]} filenames - The relative filenames of the entries to read.
+    *
+    * @param {object}   [options] - Optional parameters.
+    *
+    * @param {number}   [options.maxEntryCount=10000] - The max number of entries in an archive.
+    *
+    * @param {number}   [options.maxOutputLength=67108864] - The max size in bytes of an archive file and of all
+    *                                                        decompressed archive data.
+    *
+    * @returns {Promise<object<string, Buffer>>} Relative filename to entry contents.
+    */
+   static async read(filepath, filenames, { maxEntryCount = s_MAX_ENTRY_COUNT,
+    maxOutputLength = s_MAX_OUTPUT_LENGTH } = {})
+   {
+      if (typeof filepath !== 'string')
+      {
+         throw new TypeError(`MetaFileReader read: 'filepath' is not a 'string'.`);
+      }
+
+      if (!Array.isArray(filenames))
+      {
+         throw new TypeError(`MetaFileReader read: 'filenames' is not an 'array'.`);
+      }
+
+      if (!Number.isInteger(maxEntryCount) || maxEntryCount < 1)
+      {
+         throw new TypeError(`MetaFileReader read: 'maxEntryCount' is not a positive 'integer'.`);
+      }
+
+      if (!Number.isInteger(maxOutputLength) || maxOutputLength < 1)
+      {
+         throw new TypeError(`MetaFileReader read: 'maxOutputLength' is not a positive 'integer'.`);
+      }
+
+      const stats = await fs.promises.stat(filepath);
+
+      if (stats.isDirectory()) { return s_READ_DIR(filepath, filenames); }
+
+      if (stats.size > maxOutputLength)
+      {
+         throw new Error(`MetaFileReader read: metafile archive exceeds ${maxOutputLength} bytes:\n${filepath}`);
+      }
+
+      const limits = { maxEntryCount, maxOutputLength };
+
+      const buffer = await fs.promises.readFile(filepath);
+
+      if (filepath.endsWith('.tar.gz') || filepath.endsWith('.tgz')) { return s_READ_TAR(buffer, filenames, limits); }
+
+      if (filepath.endsWith('.zip')) { return s_READ_ZIP(buffer, filenames, limits); }
+
+      throw new Error(`MetaFileReader read: unsupported metafile archive format:\n${filepath}`);
+   }
+}
+
+/**
+ * Reads entries from a metafile directory.
+ *
+ * @param {string}   dirpath - Metafile directory.
+ *
+ * @param {string[]} filenames - The relative filenames of the entries to read.
+ *
+ * @returns {Promise<object<string, Buffer>>} Relative filename to entry contents.
+ */
+async function s_READ_DIR(dirpath, filenames)
+{
+   const entries = {};
+
+   for (const filename of filenames)
+   {
+      const entryPath = path.resolve(dirpath, filename);
+
+      if (fs.existsSync(entryPath)) { entries[filename] = await fs.promises.readFile(entryPath); }
+   }
+
+   return entries;
+}
+
+/**
+ * Reads entries from a gzipped tar archive. Only regular file entries w/ ustar headers and PAX extended header `path`
+ * records as written by `@typhonjs-utils/file-archive` are supported.
+ *
+ * @param {Buffer}   buffer - Gzipped tar archive.
+ *
+ * @param {string[]} filenames - The relative filenames of the entries to read.
+ *
+ * @param {{maxEntryCount: number, maxOutputLength: number}}  limits - Entry count and decompressed size limits.
+ *
+ * @returns {object<string, Buffer>} Relative filename to entry contents.
+ */
+function s_READ_TAR(buffer, filenames, { maxEntryCount, maxOutputLength })
+{
+   let tar;
+
+   try
+   {
+      tar = zlib.gunzipSync(buffer, { maxOutputLength });
+   }
+   catch (err)
+   {
+      throw new Error(err.code === 'ERR_BUFFER_TOO_LARGE' ?
+       `MetaFileReader read: tar archive exceeds ${maxOutputLength} bytes when decompressed.` :
+       `MetaFileReader read: invalid tar.gz archive; ${err.message}`);
+   }
+
+   const entries = {};
+
+   let entryCount = 0;
+   let offset = 0;
+   let paxPath;
+
+   while (offset + 512 <= tar.length)
+   {
+      const header = tar.subarray(offset, offset + 512);
+
+      // Two empty blocks end the archive.
+      if (header.every((byte) => byte === 0)) { break; }
+
+      if (++entryCount > maxEntryCount)
+      {
+         throw new Error(`MetaFileReader read: tar archive exceeds ${maxEntryCount} entries.`);
+      }
+
+      if (header.toString('latin1', 257, 263) !== 'ustar\0' || !s_TAR_CHECKSUM_VALID(header))
+      {
+         throw new Error(`MetaFileReader read: invalid tar archive; unsupported header at offset ${offset}.`);
+      }
+
+      const name = s_TAR_STRING(header, 0, 100);
+      const size = parseInt(s_TAR_STRING(header, 124, 12).trim() || '0', 8);
+      const type = String.fromCharCode(header[156]);
+      const prefix = s_TAR_STRING(header, 345, 155);
+
+      if (!Number.isSafeInteger(size) || offset + 512 + size > tar.length)
+      {
+         throw new Error(`MetaFileReader read: invalid tar archive; truncated entry at offset ${offset}.`);
+      }
+
+      const data = tar.subarray(offset + 512, offset + 512 + size);
+
+      offset += 512 + Math.ceil(size / 512) * 512;
+
+      if (type === 'x')
+      {
+         const match = (/(?:^|\n)\d+ path=([^\n]*)\n/).exec(data.toString('utf8'));
+         paxPath = match ? match[1] : void 0;
+         continue;
+      }
+
+      if (type !== '0' && type !== '\0')
+      {
+         throw new Error(`MetaFileReader read: invalid tar archive; unsupported entry type '${type}' for '${name}'.`);
+      }
+
+      const filename = paxPath || (prefix !== '' ? `${prefix}/${name}` : name);
+
+      paxPath = void 0;
+
+      if (filenames.includes(filename)) { entries[filename] = Buffer.from(data); }
+   }
+
+   return entries;
+}
+
+/**
+ * Verifies the checksum of a tar header; the unsigned sum of all header bytes w/ the checksum field as spaces.
+ *
+ * @param {Buffer}   header - Tar header.
+ *
+ * @returns {boolean} Whether the header checksum is valid.
+ */
+function s_TAR_CHECKSUM_VALID(header)
+{
+   let sum = 8 * 32;
+
+   for (let i = 0; i < 512; i++)
+   {
+      if (i < 148 || i >= 156) { sum += header[i]; }
+   }
+
+   return parseInt(s_TAR_STRING(header, 148, 8).trim(), 8) === sum;
+}
+
+/**
+ * Returns a NUL terminated string from a tar header field.
+ *
+ * @param {Buffer}   header - Tar header.
+ *
+ * @param {number}   start - Field offset.
+ *
+ * @param {number}   length - Field length.
+ *
+ * @returns {string} Field string.
+ */
+function s_TAR_STRING(header, start, length)
+{
+   const field = header.subarray(start, start + length);
+   const end = field.indexOf(0);
+
+   return field.toString('utf8', 0, end < 0 ? length : end);
+}
+
+/**
+ * Reads entries from a zip archive through the central directory. Only stored and deflated entries without zip64
+ * records or encryption as written by `@typhonjs-utils/file-archive` are supported.
+ *
+ * @param {Buffer}   buffer - Zip archive.
+ *
+ * @param {string[]} filenames - The relative filenames of the entries to read.
+ *
+ * @param {{maxEntryCount: number, maxOutputLength: number}}  limits - Entry count and decompressed size limits.
+ *
+ * @returns {object<string, Buffer>} Relative filename to entry contents.
+ */
+function s_READ_ZIP(buffer, filenames, { maxEntryCount, maxOutputLength })
+{
+   // Find the end of central directory record searching backward past any archive comment.
+   let eocd = -1;
+
+   for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i--)
+   {
+      if (buffer.readUInt32LE(i) === 0x06054b50) { eocd = i; break; }
+   }
+
+   if (eocd < 0) { throw new Error(`MetaFileReader read: invalid zip archive.`); }
+
+   const entryCount = buffer.readUInt16LE(eocd + 10);
+   const centralOffset = buffer.readUInt32LE(eocd + 16);
+
+   // Zip64 archives store 0xFFFF / 0xFFFFFFFF in the end of central directory record.
+   if (entryCount === 0xFFFF || centralOffset === 0xFFFFFFFF)
+   {
+      throw new Error(`MetaFileReader read: unsupported zip64 archive.`);
+   }
+
+   if (entryCount > maxEntryCount)
+   {
+      throw new Error(`MetaFileReader read: zip archive exceeds ${maxEntryCount} entries.`);
+   }
+
+   const entries = {};
+
+   let offset = centralOffset;
+   let outputLength = 0;
+
+   for (let cntr = 0; cntr < entryCount; cntr++)
+   {
+      if (offset + 46 > eocd || buffer.readUInt32LE(offset) !== 0x02014b50)
+      {
+         throw new Error(`MetaFileReader read: invalid zip archive.`);
+      }
+
+      const flags = buffer.readUInt16LE(offset + 8);
+      const method = buffer.readUInt16LE(offset + 10);
+      const compressedSize = buffer.readUInt32LE(offset + 20);
+      const size = buffer.readUInt32LE(offset + 24);
+      const nameLength = buffer.readUInt16LE(offset + 28);
+      const extraLength = buffer.readUInt16LE(offset + 30);
+      const commentLength = buffer.readUInt16LE(offset + 32);
+      const localOffset = buffer.readUInt32LE(offset + 42);
+      const filename = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+
+      offset += 46 + nameLength + extraLength + commentLength;
+
+      if (!filenames.includes(filename)) { continue; }
+
+      if ((flags & 0x1) !== 0)
+      {
+         throw new Error(`MetaFileReader read: unsupported encrypted zip entry '${filename}'.`);
+      }
+
+      if (compressedSize === 0xFFFFFFFF || size === 0xFFFFFFFF || localOffset === 0xFFFFFFFF)
+      {
+         throw new Error(`MetaFileReader read: unsupported zip64 entry '${filename}'.`);
+      }
+
+      outputLength += size;
+
+      if (outputLength > maxOutputLength)
+      {
+         throw new Error(`MetaFileReader read: zip archive exceeds ${maxOutputLength} bytes when decompressed.`);
+      }
+
+      if (localOffset + 30 > centralOffset || buffer.readUInt32LE(localOffset) !== 0x04034b50)
+      {
+         throw new Error(`MetaFileReader read: invalid zip archive; bad local header for '${filename}'.`);
+      }
+
+      const dataStart = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+
+      if (dataStart + compressedSize > centralOffset)
+      {
+         throw new Error(`MetaFileReader read: invalid zip archive; truncated entry '${filename}'.`);
+      }
+
+      const data = buffer.subarray(dataStart, dataStart + compressedSize);
+
+      switch (method)
+      {
+         case 0:
+            entries[filename] = Buffer.from(data);
+            break;
+
+         case 8:
+            try
+            {
+               // Limit output to the declared size so that the declared sizes bound all decompressed data.
+               entries[filename] = zlib.inflateRawSync(data, { maxOutputLength: Math.max(size, 1) });
+            }
+            catch (err)
+            {
+               throw new Error(`MetaFileReader read: could not inflate zip entry '${filename}'; ${err.message}`);
+            }
+            break;
+
+         default:
+            throw new Error(`MetaFileReader read: unsupported zip compression method '${method}' for '${filename}'.`);
+      }
+
+      if (entries[filename].length !== size)
+      {
+         throw new Error(`MetaFileReader read: invalid zip archive; size mismatch for '${filename}'.`);
+      }
+   }
+
+   return entries;
+}
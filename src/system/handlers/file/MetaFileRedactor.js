@@ -0,0 +1,318 @@
+/**
+ * The min length of a secret value replaced wherever it occurs in a string. Shorter secret values are only replaced
+ * when a string exactly matches to avoid redacting common substrings.
+ *
+ * @type {number}
+ */
+const s_MIN_SECRET_LENGTH = 6;
+
+/**
+ * The replacement string for any redacted value.
+ *
+ * @type {string}
+ */
+const s_REDACTED = '[REDACTED]';
+
+/**
+ * Decodes UTF-8 text throwing on any invalid byte sequence; used to detect whether a Buffer is text.
+ *
+ * @type {TextDecoder}
+ */
+const s_UTF8_DECODER = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Redacts secrets from metafile data before it is archived. Redaction occurs by key and by value:
+ *
+ * - Any object key matching a key pattern has its value replaced.
+ * - Any string containing a secret value has the secret value replaced.
+ * - Any string exactly matching a masked value or a secret value shorter than the min secret length is replaced.
+ * - Any string in a redacted file is replaced.
+ *
+ * The values of any environment variables w/ a name matching a key pattern are added to the secret values.
+ *
+ * Buffers are redacted as strings when they contain UTF-8 text. Binary Buffers can not be redacted and are recorded as
+ * unredacted in the summary. A summary of all redactions is available after redacting all metafile data.
+ */
+export default class MetaFileRedactor
+{
+   /**
+    * @param {object}            options - Options object.
+    *
+    * @param {Array<string|RegExp>} [options.keyPatterns] - Key patterns; strings must exactly match a key.
+    *
+    * @param {Iterable<string>}  [options.secretValues] - Values replaced wherever they occur in a string.
+    *
+    * @param {Iterable<string>}  [options.maskedValues] - Values replaced when a string exactly matches.
+    *
+    * @param {object<string, string>} [options.envValues] - Environment variables; the values of any variable w/ a name
+    *                                   matching a key pattern are added to the secret values.
+    *
+    * @param {Iterable<string>}  [options.redactedFiles] - Metafile names where every string is replaced.
+    *
+    * @param {number}            [options.minSecretLength=6] - The min length of secret values replaced as substrings.
+    */
+   constructor({ keyPatterns = [], secretValues = [], maskedValues = [], envValues = {}, redactedFiles = [],
+    minSecretLength = s_MIN_SECRET_LENGTH } = {})
+   {
+      if (!Number.isInteger(minSecretLength) || minSecretLength < 1)
+      {
+         throw new TypeError(`MetaFileRedactor ctor: 'minSecretLength' is not a positive 'integer'.`);
+      }
+
+      /**
+       * @type {Array<string|RegExp>}
+       * @private
+       */
+      this._keyPatterns = keyPatterns;
+
+      const envSecretValues = Object.entries(typeof envValues === 'object' && envValues !== null ? envValues : {})
+       .filter(([key]) => this._isSecretKey(key)).map(([, value]) => value);
+
+      const secrets = [...new Set([...secretValues, ...envSecretValues])].filter(
+       (value) => typeof value === 'string' && value !== '');
+
+      const shortSecrets = secrets.filter((value) => value.length < minSecretLength);
+
+      /**
+       * Secret values sorted by length so that longer values are replaced first.
+       *
+       * @type {string[]}
+       * @private
+       */
+      this._secretValues = secrets.filter((value) => value.length >= minSecretLength)
+       .sort((a, b) => b.length - a.length);
+
+      /**
+       * The number of secret values too short to be replaced as substrings.
+       *
+       * @type {number}
+       * @private
+       */
+      this._shortSecretCount = shortSecrets.length;
+
+      /**
+       * @type {Set<string>}
+       * @private
+       */
+      this._maskedValues = new Set([...maskedValues, ...shortSecrets].filter(
+       (value) => typeof value === 'string' && value !== ''));
+
+      /**
+       * @type {Set<string>}
+       * @private
+       */
+      this._redactedFiles = new Set(redactedFiles);
+
+      /**
+       * Stores the path of every redacted value by metafile name.
+       *
+       * @type {object<string, string[]>}
+       * @private
+       */
+      this._redactedPaths = {};
+
+      /**
+       * Stores the metafile names of binary data that could not be redacted.
+       *
+       * @type {string[]}
+       * @private
+       */
+      this._unredacted = [];
+   }
+
+   /**
+    * Returns the replacement string for any redacted value.
+    *
+    * @returns {string} Redacted value replacement.
+    */
+   static get REDACTED()
+   {
+      return s_REDACTED;
+   }
+
+   /**
+    * Returns the default min length of secret values replaced as substrings.
+    *
+    * @returns {number} Default min secret length.
+    */
+   static get MIN_SECRET_LENGTH()
+   {
+      return s_MIN_SECRET_LENGTH;
+   }
+
+   /**
+    * Returns the number of secret values too short to be replaced as substrings; these are only replaced when a
+    * string exactly matches.
+    *
+    * @returns {number} Short secret value count.
+    */
+   get shortSecretCount()
+   {
+      return this._shortSecretCount;
+   }
+
+   /**
+    * Returns a redacted copy of the given data. The data must be JSON serializable.
+    *
+    * @param {*}        data - Data to redact.
+    *
+    * @param {string}   filename - The metafile name used to track redacted paths in the summary.
+    *
+    * @returns {*} Redacted copy of data.
+    */
+   redact(data, filename)
+   {
+      if (data === void 0) { return data; }
+
+      return this._redactValue(JSON.parse(JSON.stringify(data)), '', filename);
+   }
+
+   /**
+    * Redacts secret values from a Buffer. A Buffer containing UTF-8 text is redacted and returned as a string. Binary
+    * data is returned as is and recorded as unredacted in the summary.
+    *
+    * @param {Buffer}   buffer - Buffer to redact.
+    *
+    * @param {string}   filename - The metafile name used to track redacted paths in the summary.
+    *
+    * @returns {string|Buffer} Redacted text or the unredacted binary Buffer.
+    */
+   redactBuffer(buffer, filename)
+   {
+      let text;
+
+      try
+      {
+         text = buffer.includes(0) ? void 0 : s_UTF8_DECODER.decode(buffer);
+      }
+      catch (err)
+      {
+         text = void 0;
+      }
+
+      if (text === void 0)
+      {
+         this._unredacted.push(filename);
+         return buffer;
+      }
+
+      return this.redactString(text, filename);
+   }
+
+   /**
+    * Redacts secret values from a string.
+    *
+    * @param {string}   text - Text to redact.
+    *
+    * @param {string}   filename - The metafile name used to track redacted paths in the summary.
+    *
+    * @returns {string} Redacted text.
+    */
+   redactString(text, filename)
+   {
+      return this._redactValue(text, '', filename);
+   }
+
+   /**
+    * Returns a summary of all redactions performed.
+    *
+    * @returns {{keyPatterns: string[], secretValueCount: number, shortSecretCount: number, maskedValueCount: number,
+    *  redactedFiles: string[], redacted: object, unredacted: string[]}} Redaction summary.
+    */
+   getSummary()
+   {
+      return {
+         keyPatterns: this._keyPatterns.map((pattern) => pattern.toString()),
+         secretValueCount: this._secretValues.length,
+         shortSecretCount: this._shortSecretCount,
+         maskedValueCount: this._maskedValues.size,
+         redactedFiles: [...this._redactedFiles],
+         redacted: this._redactedPaths,
+         unredacted: this._unredacted
+      };
+   }
+
+   /**
+    * Tests a key against all key patterns.
+    *
+    * @param {string}   key - Key to test.
+    *
+    * @returns {boolean} Whether the key matches a key pattern.
+    * @private
+    */
+   _isSecretKey(key)
+   {
+      return this._keyPatterns.some((pattern) => pattern instanceof RegExp ? pattern.test(key) : pattern === key);
+   }
+
+   /**
+    * Records a redacted path.
+    *
+    * @param {string}   filename - The metafile name.
+    *
+    * @param {string}   path - The path of the redacted value.
+    *
+    * @private
+    */
+   _record(filename, path)
+   {
+      (this._redactedPaths[filename] = this._redactedPaths[filename] || []).push(path === '' ? '.' : path);
+   }
+
+   /**
+    * Recursively redacts a value.
+    *
+    * @param {*}        value - Value to redact.
+    *
+    * @param {string}   path - The path of the value.
+    *
+    * @param {string}   filename - The metafile name.
+    *
+    * @returns {*} Redacted value.
+    * @private
+    */
+   _redactValue(value, path, filename)
+   {
+      if (typeof value === 'string')
+      {
+         if (this._redactedFiles.has(filename) || this._maskedValues.has(value))
+         {
+            this._record(filename, path);
+            return s_REDACTED;
+         }
+
+         let output = value;
+
+         for (const secretValue of this._secretValues) { output = output.split(secretValue).join(s_REDACTED); }
+
+         if (output !== value) { this._record(filename, path); }
+
+         return output;
+      }
+
+      if (Array.isArray(value))
+      {
+         return value.map((entry, index) => this._redactValue(entry, `${path}[${index}]`, filename));
+      }
+
+      if (typeof value === 'object' && value !== null)
+      {
+         for (const key of Object.keys(value))
+         {
+            const keyPath = path === '' ? key : `${path}.${key}`;
+
+            if (this._isSecretKey(key) && value[key] !== null && value[key] !== void 0)
+            {
+               value[key] = s_REDACTED;
+               this._record(filename, keyPath);
+            }
+            else
+            {
+               value[key] = this._redactValue(value[key], keyPath, filename);
+            }
+         }
+      }
+
+      return value;
+   }
+}
@@ -1,16 +1,53 @@
+import oclif               from '@oclif/core';
+
+import { NonFatalError }   from '@typhonjs-oclif/errors';
+
+/**
+ * The parse function shared by all Oclif integer flags; used to detect integer flags when coercing env values.
+ *
+ * @type {Function}
+ */
+const s_INTEGER_PARSE = oclif.Flags.integer().parse;
+
 /**
  * Receives all flags from the various Oclif plugins allowing dynamic flag association for the plugin to a specific
  * Oclif command action. This allows TyphonJS Oclif plugins to register flags for command actions dynamically. When
  * commands are added in `addFlags` conflict checking occurs to ensure that no plugin can add the same flag or
- * shorthand alias. If a conflict occurs an error message is posted and CLI exits.
+ * shorthand alias. If a conflict occurs an error message is posted and CLI exits. As `getFlags` merges the flags of
+ * several commands conflict checking also occurs across all requested commands when flags are retrieved.
+ *
+ * Flags are automatically removed when the plugin that added them is removed from the plugin manager. This is
+ * handled by listening to `typhonjs:plugin:manager:plugin:removed` and matching the removed plugin name against the
+ * plugin name provided when flags were added.
+ *
+ * Flags may declaratively bind an environment variable with an `env` property. When `env` is a string it is the
+ * environment variable name and when `true` the name is generated from the CLI environment variable prefix and flag
+ * name; IE `--log-level` -> `{prefix}_LOG_LEVEL`. The environment variable is read by a `default` function that wraps
+ * any existing default. Values are coerced to the flag type; booleans from `true` / `false` / `1` / `0`, integers for
+ * integer flags and comma separated lists for flags accepting multiple values. Invalid integers and values not in any
+ * `options` of the flag are ignored w/ a warning as Oclif does not validate default values. A flag may define an
+ * `envParse` function receiving the environment variable value which replaces the default coercion; returning
+ * `undefined` ignores the value. The bound environment variable name is stored in `$$envVar`.
+ *
+ * Flags may also be marked with `secret: true`. The values of secret flags are redacted from metafile archives.
  *
- * There are three methods which are available on the plugin eventbus:
+ * There are seven methods which are available on the plugin eventbus:
  *
  * `typhonjs:oclif:system:handler:flag:add` -> addFlags
  *
  * `typhonjs:oclif:system:handler:flag:get` -> getFlags
  *
+ * `typhonjs:oclif:system:handler:flag:get:groups` -> getFlagGroups
+ *
+ * `typhonjs:oclif:system:handler:flag:remove` -> removeFlags
+ *
+ * `typhonjs:oclif:system:handler:flag:validate` -> validateFlags
+ *
  * `typhonjs:oclif:system:handler:flag:verify` -> verifyFlags
+ *
+ * `typhonjs:oclif:system:handler:flag:verify:async` -> verifyFlagsAsync
+ *
+ * FlagHandler logs under the `flaghandler` namespace; IE `--loglevel info,flaghandler=trace`.
  */
 export default class FlagHandler
 {
@@ -26,6 +63,15 @@ export default class FlagHandler
        * @private
        */
       this._database = {};
+
+      /**
+       * The `flaghandler` namespace logger set when loaded by the plugin manager.
+       *
+       * @type {object}
+       *
+       * @private
+       */
+      this._logger = void 0;
    }
 
    /**
@@ -37,7 +83,7 @@ export default class FlagHandler
     *
     * @param {string}   newEntry.plugin - The plugin name.
     *
-    * @param {object}   newEntry.flags - new flags to add.
+    * @param {object}   newEntry.flags - new flags to add; any `env` property binds an environment variable.
     *
     * @param {Function} [newEntry.verify] - An optional function invoked to verify flags set by the given plugin.
     */
@@ -74,7 +120,7 @@ export default class FlagHandler
       // Store the new entry parameters locally for easier reference.
       const commandName = newEntry.command;
       const pluginName = newEntry.pluginName;
-      const newFlags = newEntry.flags;
+      const newFlags = s_BIND_ENV_FLAGS(newEntry.flags);
       const newVerify = typeof newEntry.verify === 'function' ? newEntry.verify : null;
 
       // Check for any existing flag conflicts for a given command. An error messages will be thrown if there are
@@ -85,10 +131,13 @@ export default class FlagHandler
       const plugins = this._database[commandName] || {};
 
       // Assign copied flags by plugin name to command object.
-      plugins[pluginName] = { flags: Object.assign(newFlags, {}), verify: newVerify };
+      plugins[pluginName] = { flags: newFlags, verify: newVerify };
 
       // Store command name object.
       this._database[commandName] = plugins;
+
+      this._logger?.debug(`Added flags for command '${commandName}' from plugin '${pluginName}': ` +
+       `${Object.keys(newFlags).join(', ')}`);
    }
 
    /**
@@ -175,13 +224,79 @@ export default class FlagHandler
    }
 
    /**
-    * Gets associated flags for a particular command name.
+    * Checks for flags or shorthand aliases that are defined in more than one of the given commands. `addFlags` only
+    * checks for conflicts in a single command, but `getFlags` merges flags across all requested commands.
+    *
+    * @param {string[]} commands - The command names to check in merge order.
+    *
+    * @returns {string} Any conflict messages; empty if there are no conflicts.
+    *
+    * @private
+    */
+   _checkMergedFlagConflict(commands)
+   {
+      let flagConflictMsg = '';
+
+      // Stores the first command / plugin defining a given long flag name or alias.
+      const seenFlags = new Map();
+      const seenChars = new Map();
+
+      for (const commandName of new Set(commands))
+      {
+         const plugins = this._database[commandName] || {};
+
+         for (const pluginName of Object.keys(plugins))
+         {
+            const pluginFlags = plugins[pluginName].flags || {};
+
+            for (const flagName of Object.keys(pluginFlags))
+            {
+               const existingFlag = seenFlags.get(flagName);
+
+               if (existingFlag && existingFlag.commandName !== commandName)
+               {
+                  flagConflictMsg += `Flag '${flagName}' from '${pluginName}' for '${commandName}' command already ` +
+                   `defined by '${existingFlag.pluginName}' plugin for '${existingFlag.commandName}' command.\n`;
+               }
+               else if (!existingFlag)
+               {
+                  seenFlags.set(flagName, { commandName, pluginName });
+               }
+
+               const flagChar = typeof pluginFlags[flagName].char === 'string' ? pluginFlags[flagName].char : null;
+
+               if (!flagChar) { continue; }
+
+               const existingChar = seenChars.get(flagChar);
+
+               if (existingChar && existingChar.commandName !== commandName)
+               {
+                  flagConflictMsg += `Alias '${flagChar}' of flag '${flagName}' from '${pluginName}' for ` +
+                   `'${commandName}' command already defined by '${existingChar.flagName}' flag in ` +
+                    `'${existingChar.pluginName}' for '${existingChar.commandName}' command.\n`;
+               }
+               else if (!existingChar)
+               {
+                  seenChars.set(flagChar, { commandName, pluginName, flagName });
+               }
+            }
+         }
+      }
+
+      return flagConflictMsg;
+   }
+
+   /**
+    * Gets associated flags for a particular command name. Conflict checking occurs across all requested commands
+    * before the flags are merged.
     *
     * @param {object}   query - Query object
     *
     * @param {string[]} query.commands - Retrieve flags for this command name.
     *
     * @returns {*|{}} The flags available from `query`.
+    *
+    * @throws {Error}   Throws an Error if conflict is detected across the requested commands.
     */
    getFlags(query = {})
    {
@@ -198,6 +313,9 @@ export default class FlagHandler
          throw new TypeError(`FlagHandler getFlags: 'commands' is not a 'Array'.`);
       }
 
+      // Ensure that merging flags across commands does not silently overwrite any flag or alias.
+      this.validateFlags({ commands });
+
       // Store all flags being returned for this request.
       const allFlags = {};
 
@@ -219,6 +337,135 @@ export default class FlagHandler
       return allFlags;
    }
 
+   /**
+    * Gets the flag names added by each plugin for the given command names. Plugins are listed in the order flags were
+    * added and a plugin adding flags to several of the commands is listed once.
+    *
+    * @param {object}   query - Query object
+    *
+    * @param {string[]} query.commands - Retrieve flag groups for these command names.
+    *
+    * @returns {Array<{pluginName: string, flags: string[]}>} The flag names by plugin name.
+    */
+   getFlagGroups(query = {})
+   {
+      if (typeof query !== 'object')
+      {
+         throw new TypeError(`FlagHandler getFlagGroups: 'query' is not an 'object'.`);
+      }
+
+      const commands = query.commands;
+
+      if (!Array.isArray(commands))
+      {
+         throw new TypeError(`FlagHandler getFlagGroups: 'commands' is not a 'Array'.`);
+      }
+
+      const groups = new Map();
+
+      for (const command of commands)
+      {
+         const plugins = this._database[command] || {};
+
+         for (const pluginName of Object.keys(plugins))
+         {
+            const flagNames = groups.get(pluginName) || [];
+
+            for (const flagName of Object.keys(plugins[pluginName].flags))
+            {
+               if (!flagNames.includes(flagName)) { flagNames.push(flagName); }
+            }
+
+            groups.set(pluginName, flagNames);
+         }
+      }
+
+      return [...groups].map(([pluginName, flags]) => ({ pluginName, flags }));
+   }
+
+   /**
+    * Removes all flags added by a plugin. If a command name is provided only the flags for that command are removed.
+    * Any command with no remaining plugin entries is also removed.
+    *
+    * @param {object}   query - Query object
+    *
+    * @param {string}   query.pluginName - The plugin name to remove flags for.
+    *
+    * @param {string}   [query.command] - Only remove flags for this command name.
+    *
+    * @returns {boolean} True if any flags were removed.
+    */
+   removeFlags(query = {})
+   {
+      if (typeof query !== 'object')
+      {
+         throw new TypeError(`FlagHandler removeFlags: 'query' is not an 'object'.`);
+      }
+
+      if (typeof query.pluginName !== 'string')
+      {
+         throw new TypeError(`FlagHandler removeFlags: 'query.pluginName' is not a 'string'.`);
+      }
+
+      if (query.command !== void 0 && typeof query.command !== 'string')
+      {
+         throw new TypeError(`FlagHandler removeFlags: 'query.command' is not a 'string'.`);
+      }
+
+      const pluginName = query.pluginName;
+
+      const commandNames = typeof query.command === 'string' ? [query.command] : Object.keys(this._database);
+
+      let removed = false;
+
+      for (const commandName of commandNames)
+      {
+         const plugins = this._database[commandName];
+
+         if (typeof plugins !== 'object' || !(pluginName in plugins)) { continue; }
+
+         delete plugins[pluginName];
+         removed = true;
+
+         this._logger?.debug(`Removed flags for command '${commandName}' from plugin '${pluginName}'.`);
+
+         // Remove the command entry entirely when no plugins remain.
+         if (Object.keys(plugins).length === 0) { delete this._database[commandName]; }
+      }
+
+      return removed;
+   }
+
+   /**
+    * Validates that the flags for all given commands can be merged without any flag or shorthand alias conflicts.
+    *
+    * @param {object}   query - Query object
+    *
+    * @param {string[]} query.commands - The command names to validate in merge order.
+    *
+    * @throws {Error}   Throws an Error if conflict is detected across the given commands.
+    */
+   validateFlags(query = {})
+   {
+      if (typeof query !== 'object')
+      {
+         throw new TypeError(`FlagHandler validateFlags: 'query' is not an 'object'.`);
+      }
+
+      if (!Array.isArray(query.commands))
+      {
+         throw new TypeError(`FlagHandler validateFlags: 'commands' is not a 'Array'.`);
+      }
+
+      const flagConflictMsg = this._checkMergedFlagConflict(query.commands);
+
+      // If there are any conflict messages generated above then throw an error.
+      if (flagConflictMsg !== '')
+      {
+         throw new Error(`FlagHandler Error - The following conflicts are detected:\n${flagConflictMsg}`);
+      }
+   }
+
    /**
     * Invokes any stored Oclif plugin verification functions against the final command flags.
     *
@@ -271,6 +518,94 @@ export default class FlagHandler
       }
    }
 
+   /**
+    * Invokes any stored Oclif plugin verification functions against the final command flags awaiting each function
+    * in turn. Unlike `verifyFlags` all verification problems are collected and reported together in a single
+    * NonFatalError listing the plugin and flag associated with each problem.
+    *
+    * Verification functions receive the flags and a `report` function as the second parameter. A verification
+    * function may invoke `report(flag, message)` any number of times to report multiple problems or may throw a
+    * NonFatalError; an optional `flag` property on the thrown error associates the error with a flag. Any fatal
+    * error thrown is rethrown immediately.
+    *
+    * @param {object}   query - Query object
+    *
+    * @param {string[]} query.commands - Retrieve flags for these command names.
+    *
+    * @param {object}   query.flags - Parsed flags for a command.
+    *
+    * @returns {Promise<void>}
+    *
+    * @throws {NonFatalError} Throws a NonFatalError if any verification problems are detected.
+    */
+   async verifyFlagsAsync(query = {})
+   {
+      if (typeof query !== 'object')
+      {
+         throw new TypeError(`FlagHandler verifyFlagsAsync: 'query' is not an 'object'.`);
+      }
+
+      // Locally store the command name & flags from query.
+      const commands = query.commands;
+      const flags = query.flags;
+
+      if (!Array.isArray(commands))
+      {
+         throw new TypeError(`FlagHandler verifyFlagsAsync: 'commands' is not a 'Array'.`);
+      }
+
+      if (typeof flags !== 'object')
+      {
+         throw new TypeError(`FlagHandler verifyFlagsAsync: 'flags' is not an 'object'.`);
+      }
+
+      // Stores all problems reported by verification functions.
+      const problems = [];
+
+      for (const command of commands)
+      {
+         // Retrieve existing command object or create new.
+         const plugins = this._database[command] || {};
+
+         for (const pluginName of Object.keys(plugins))
+         {
+            const verifyFunc = plugins[pluginName].verify;
+
+            if (typeof verifyFunc !== 'function') { continue; }
+
+            const report = (flag, message) => problems.push({ pluginName, flag, message });
+
+            this._logger?.trace(`Verifying flags for command '${command}' from plugin '${pluginName}'.`);
+
+            try
+            {
+               await verifyFunc(flags, report);
+            }
+            catch (err)
+            {
+               // Only collect non-fatal errors; any other error is likely a bug in the plugin.
+               if (!(err instanceof NonFatalError) && err?.$$error_fatal !== false) { throw err; }
+
+               problems.push({ pluginName, flag: err.flag, message: err.message });
+            }
+         }
+      }
+
+      if (problems.length > 0)
+      {
+         let message = `Flag verification failed with the following problem${problems.length > 1 ? 's' : ''}:\n`;
+
+         for (const problem of problems)
+         {
+            const flag = typeof problem.flag === 'string' ? ` --${problem.flag}` : '';
+
+            message += `- [${problem.pluginName}]${flag}: ${problem.message}\n`;
+         }
+
+         throw new NonFatalError(message);
+      }
+   }
+
    /**
     * Wires up FlagHandler on the plugin eventbus.
     *
@@ -285,6 +620,154 @@ export default class FlagHandler
 
       eventbus.on(`typhonjs:oclif:system:handler:flag:add`, this.addFlags, this, { guard: true });
       eventbus.on(`typhonjs:oclif:system:handler:flag:get`, this.getFlags, this, { guard: true });
+      eventbus.on(`typhonjs:oclif:system:handler:flag:get:groups`, this.getFlagGroups, this, { guard: true });
+      eventbus.on(`typhonjs:oclif:system:handler:flag:remove`, this.removeFlags, this, { guard: true });
+      eventbus.on(`typhonjs:oclif:system:handler:flag:validate`, this.validateFlags, this, { guard: true });
       eventbus.on(`typhonjs:oclif:system:handler:flag:verify`, this.verifyFlags, this, { guard: true });
+      eventbus.on(`typhonjs:oclif:system:handler:flag:verify:async`, this.verifyFlagsAsync, this, { guard: true });
+
+      // Remove any flags associated with a plugin when it is removed from the plugin manager.
+      eventbus.on(`typhonjs:plugin:manager:plugin:removed`, this._onPluginRemoved, this);
+
+      this._logger = eventbus.triggerSync('typhonjs:oclif:system:handler:log:namespace:logger:get',
+       { namespace: 'flaghandler', pluginName: ev.pluginName });
+   }
+
+   /**
+    * Removes any flags added under the name of a plugin that was removed from the plugin manager.
+    *
+    * @param {object} pluginData - The plugin data of the removed plugin.
+    *
+    * @private
+    */
+   _onPluginRemoved(pluginData)
+   {
+      const pluginName = pluginData?.plugin?.name;
+
+      if (typeof pluginName === 'string') { this.removeFlags({ pluginName }); }
+   }
+
+   /**
+    * Clears all stored flags when FlagHandler is removed from the plugin manager. The plugin manager automatically
+    * removes any event bindings added in `onPluginLoad`.
+    *
+    * @see https://www.npmjs.com/package/@typhonjs-plugin/manager
+    * @ignore
+    */
+   onPluginUnload()
+   {
+      this._database = {};
+      this._logger = void 0;
    }
 }
+
+/**
+ * Returns a copy of the given flags where any flag defining an `env` property has the environment variable bound
+ * through a `default` function.
+ *
+ * @param {object}   flags - Flags to bind.
+ *
+ * @returns {object} Copied flags.
+ */
+function s_BIND_ENV_FLAGS(flags)
+{
+   const boundFlags = {};
+
+   for (const [flagName, flag] of Object.entries(flags))
+   {
+      if (typeof flag !== 'object' || flag === null || (typeof flag.env !== 'string' && flag.env !== true))
+      {
+         boundFlags[flagName] = flag;
+         continue;
+      }
+
+      const envVar = flag.env === true ? `${globalThis.$$cli_env_prefix}_${flagName.toUpperCase().replace(/-/g, '_')}` :
+       flag.env;
+
+      const origDefault = flag.default;
+
+      // Remove `env` so that Oclif does not read the environment variable without coercion.
+      const { env, ...boundFlag } = flag; // eslint-disable-line no-unused-vars
+
+      boundFlag.$$envVar = envVar;
+
+      // When context is `null` defaults are loaded without environment variables; IE for help output.
+      boundFlag.default = function(context)
+      {
+         const envVars = context === null ? {} : process.env;
+
+         if (typeof envVars[envVar] === 'string')
+         {
+            const value = s_COERCE_ENV(boundFlag, envVar, envVars[envVar]);
+
+            if (value !== void 0) { return value; }
+         }
+
+         return typeof origDefault === 'function' ? origDefault(context) : origDefault;
+      };
+
+      boundFlags[flagName] = boundFlag;
+   }
+
+   return boundFlags;
+}
+
+/**
+ * Coerces an environment variable value to the type of the given flag.
+ *
+ * @param {object}   flag - The flag.
+ *
+ * @param {string}   envVar - The environment variable name.
+ *
+ * @param {string}   value - The environment variable value.
+ *
+ * @returns {boolean|number|string|Array<number|string>|undefined} Coerced value or undefined if the value is not valid
+ *          for the flag.
+ */
+function s_COERCE_ENV(flag, envVar, value)
+{
+   if (typeof flag.envParse === 'function') { return flag.envParse(value); }
+
+   if (flag.type === 'boolean')
+   {
+      switch (value.trim().toLowerCase())
+      {
+         case 'true':
+         case '1':
+            return true;
+
+         case 'false':
+         case '0':
+            return false;
+
+         default:
+            globalThis.$$eventbus?.trigger('log:warn',
+             `Ignoring environment variable '${envVar}' as '${value}' is not 'true', 'false', '1' or '0'.`);
+            return void 0;
+      }
+   }
+
+   const entries = flag.multiple ? value.split(',').map((entry) => entry.trim()).filter((entry) => entry !== '') :
+    [value];
+
+   for (const entry of entries)
+   {
+      if (Array.isArray(flag.options) && !flag.options.includes(entry))
+      {
+         globalThis.$$eventbus?.trigger('log:warn', `Ignoring environment variable '${envVar}' as '${entry}' is not ` +
+          `one of: ${flag.options.join(', ')}.`);
+         return void 0;
+      }
+
+      if (flag.parse === s_INTEGER_PARSE && !(/^\s*-?\d+\s*$/).test(entry))
+      {
+         globalThis.$$eventbus?.trigger('log:warn',
+          `Ignoring environment variable '${envVar}' as '${entry}' is not an integer.`);
+         return void 0;
+      }
+   }
+
+   const coerced = flag.parse === s_INTEGER_PARSE ? entries.map((entry) => Number.parseInt(entry, 10)) : entries;
+
+   return flag.multiple ? coerced : coerced[0];
+}
@@ -0,0 +1,282 @@
+import fs     from 'fs';
+import path   from 'path';
+import util   from 'util';
+
+import { NonFatalError }   from '@typhonjs-oclif/errors';
+
+/**
+ * Matches ANSI escape codes which are removed from all logged messages.
+ *
+ * @type {RegExp}
+ */
+const s_ANSI_REGEX = /\u001b\[[0-9;]*[A-Za-z]/g;  // eslint-disable-line no-control-regex
+
+/**
+ * The log levels in order of severity.
+ *
+ * @type {string[]}
+ */
+const s_LOG_LEVELS = ['fatal', 'error', 'warn', 'info', 'verbose', 'debug', 'trace'];
+
+/**
+ * The log event variants of each log level handled by the color logger.
+ *
+ * @type {string[]}
+ */
+const s_LOG_VARIANTS = ['', ':compact', ':nocolor', ':raw', ':time'];
+
+/**
+ * The max number of buffered lines before the buffer is written to the log file.
+ *
+ * @type {number}
+ */
+const s_MAX_BUFFER_LINES = 100;
+
+/**
+ * The number of rotated log files kept; IE `<logfile>.1` through `<logfile>.5`.
+ *
+ * @type {number}
+ */
+const s_MAX_ROTATED_FILES = 5;
+
+/**
+ * Copies all `log:*` events at or above a chosen log level to a persistent log file independent of the console log
+ * level. This allows long CI runs to keep a full debug log while the console is set to `info`.
+ *
+ * Log lines include a timestamp, log level and the command ID. ANSI color codes are removed. The log file is written
+ * either as plain text or NDJSON (one JSON object per line). Lines are buffered and the buffer is written when full
+ * and by `flush` which is invoked from `finallyHandler` and `errorHandler` before the process exits. When the log file
+ * exceeds the max size it is rotated keeping up to 5 prior log files.
+ *
+ * File logging is started by DynamicCommand in response to the `--logfile` flag through
+ * `typhonjs:oclif:system:handler:log:file:start`.
+ */
+export default class FileLogHandler
+{
+   /**
+    * Writes all buffered lines to the log file.
+    */
+   static flush()
+   {
+      if (FileLogHandler._buffer.length === 0 || FileLogHandler._config === void 0) { return; }
+
+      const data = FileLogHandler._buffer.join('');
+
+      FileLogHandler._buffer = [];
+
+      try
+      {
+         s_ROTATE(FileLogHandler._config, Buffer.byteLength(data));
+
+         fs.appendFileSync(FileLogHandler._config.filepath, data);
+      }
+      catch (err)
+      {
+         // Stop file logging on any write error so that the error is only reported once.
+         const filepath = FileLogHandler._config.filepath;
+
+         FileLogHandler._config = void 0;
+
+         globalThis.$$eventbus?.trigger('log:warn', `Stopping file logging; could not write to:\n${filepath}\n` +
+          `${err.message}`);
+      }
+   }
+
+   /**
+    * Starts file logging. Any prior file logging is flushed and stopped.
+    *
+    * @param {object}   options - Options object.
+    *
+    * @param {string}   [options.filepath] - Log file path; default: `<CLI log directory>/<CLI name>.log`.
+    *
+    * @param {string}   [options.format='text'] - Log file format: `text` or `ndjson`.
+    *
+    * @param {string}   [options.level='debug'] - The log level for the log file.
+    *
+    * @param {number}   [options.maxSize=10] - Max size in MB before the log file is rotated (0 disables).
+    *
+    * @param {string}   [options.commandId] - The command ID included in each log line.
+    *
+    * @returns {string} The log file path.
+    *
+    * @throws {NonFatalError} Throws a NonFatalError for invalid options or when the log directory can not be created.
+    */
+   static start({ filepath, format = 'text', level = 'debug', maxSize = 10, commandId = '' } = {})
+   {
+      if (filepath !== void 0 && typeof filepath !== 'string')
+      {
+         throw new NonFatalError(`Log file path is not a 'string'.`);
+      }
+
+      if (format !== 'text' && format !== 'ndjson')
+      {
+         throw new NonFatalError(`Unknown log file format: '${format}'; expected 'text' or 'ndjson'.`);
+      }
+
+      if (level !== 'all' && !s_LOG_LEVELS.includes(level))
+      {
+         throw new NonFatalError(`Unknown log file log level: '${level}'.`);
+      }
+
+      if (!Number.isInteger(maxSize) || maxSize < 0)
+      {
+         throw new NonFatalError(`Log file max size is not a positive integer: '${maxSize}'.`);
+      }
+
+      FileLogHandler.stop();
+
+      if (filepath === void 0)
+      {
+         filepath = `${globalThis.$$cli_log_dir}${path.sep}${globalThis.$$cli_name}.${format === 'text' ? 'log' :
+          'ndjson'}`;
+      }
+
+      try
+      {
+         fs.mkdirSync(path.dirname(filepath), { recursive: true });
+      }
+      catch (err)
+      {
+         throw new NonFatalError(`Could not create log file directory for:\n${filepath}\n${err.message}`);
+      }
+
+      FileLogHandler._config = {
+         filepath,
+         format,
+         levelIndex: level === 'all' ? s_LOG_LEVELS.length - 1 : s_LOG_LEVELS.indexOf(level),
+         maxSize: maxSize * 1048576,
+         commandId
+      };
+
+      return filepath;
+   }
+
+   /**
+    * Flushes and stops file logging.
+    */
+   static stop()
+   {
+      FileLogHandler.flush();
+
+      FileLogHandler._config = void 0;
+   }
+
+   /**
+    * Buffers a log line for the given level when file logging is started and the level is enabled.
+    *
+    * @param {string}   level - The log level.
+    *
+    * @param {...*}     msg - Message arguments formatted w/ `util.format`.
+    */
+   static write(level, ...msg)
+   {
+      const config = FileLogHandler._config;
+
+      if (config === void 0) { return; }
+
+      const levelIndex = s_LOG_LEVELS.indexOf(level);
+
+      if (levelIndex < 0 || levelIndex > config.levelIndex) { return; }
+
+      const message = util.format(...msg).replace(s_ANSI_REGEX, '');
+      const time = new Date().toISOString();
+
+      if (config.format === 'ndjson')
+      {
+         FileLogHandler._buffer.push(`${JSON.stringify({ time, level, command: config.commandId, message })}\n`);
+      }
+      else
+      {
+         const prefix = `${time} [${level.toUpperCase()}]${config.commandId !== '' ? ` [${config.commandId}]` : ''} `;
+
+         // Indent any continuation lines to the message start.
+         FileLogHandler._buffer.push(`${prefix}${message.split(/\r?\n/).join(`\n${' '.repeat(prefix.length)}`)}\n`);
+      }
+
+      if (FileLogHandler._buffer.length >= s_MAX_BUFFER_LINES) { FileLogHandler.flush(); }
+   }
+
+   /**
+    * Wires up FileLogHandler on the plugin eventbus listening to all `log:*` events.
+    *
+    * @param {object} ev - PluginEvent - The plugin event.
+    *
+    * @see https://www.npmjs.com/package/@typhonjs-plugin/manager
+    *
+    * @ignore
+    */
+   static onPluginLoad(ev)
+   {
+      ev.eventbus.on(`typhonjs:oclif:system:handler:log:file:flush`, FileLogHandler.flush, FileLogHandler,
+       { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:log:file:start`, FileLogHandler.start, FileLogHandler,
+       { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:log:file:stop`, FileLogHandler.stop, FileLogHandler,
+       { guard: true });
+
+      for (const level of s_LOG_LEVELS)
+      {
+         for (const variant of s_LOG_VARIANTS)
+         {
+            ev.eventbus.on(`log:${level}${variant}`, (...msg) => FileLogHandler.write(level, ...msg));
+         }
+      }
+
+      // Write any remaining buffered lines if the process exits without the exception / finally handlers running.
+      process.on('exit', FileLogHandler.flush);
+   }
+
+   /**
+    * Flushes and stops file logging when FileLogHandler is removed from the plugin manager.
+    *
+    * @see https://www.npmjs.com/package/@typhonjs-plugin/manager
+    *
+    * @ignore
+    */
+   static onPluginUnload()
+   {
+      process.removeListener('exit', FileLogHandler.flush);
+
+      FileLogHandler.stop();
+   }
+}
+
+/**
+ * Stores buffered log lines.
+ *
+ * @type {string[]}
+ */
+FileLogHandler._buffer = [];
+
+/**
+ * Stores the current file logging config when started.
+ *
+ * @type {{filepath: string, format: string, levelIndex: number, maxSize: number, commandId: string}}
+ */
+FileLogHandler._config = void 0;
+
+/**
+ * Rotates the log file when appending the given number of bytes would exceed the max size. The log file is renamed to
+ * `<logfile>.1` and any prior rotated files are shifted up to the max number of rotated files.
+ *
+ * @param {{filepath: string, maxSize: number}} config - File logging config.
+ *
+ * @param {number}   byteLength - The number of bytes to append.
+ */
+function s_ROTATE(config, byteLength)
+{
+   if (config.maxSize === 0 || !fs.existsSync(config.filepath)) { return; }
+
+   if (fs.statSync(config.filepath).size + byteLength <= config.maxSize) { return; }
+
+   for (let cntr = s_MAX_ROTATED_FILES - 1; cntr >= 1; cntr--)
+   {
+      const src = `${config.filepath}.${cntr}`;
+
+      if (fs.existsSync(src)) { fs.renameSync(src, `${config.filepath}.${cntr + 1}`); }
+   }
+
+   fs.renameSync(config.filepath, `${config.filepath}.1`);
+}
@@ -0,0 +1,242 @@
+/**
+ * The log levels accepted for a namespace and their severity; matches `@typhonjs-utils/logger-color`.
+ *
+ * @type {object<string, number>}
+ */
+const s_LOG_LEVELS = { off: 8, fatal: 7, error: 6, warn: 5, info: 4, verbose: 3, debug: 2, trace: 1, all: 0 };
+
+/**
+ * The log levels of the namespaced loggers returned by `getLogger`.
+ *
+ * @type {string[]}
+ */
+const s_LOGGER_LEVELS = ['fatal', 'error', 'warn', 'info', 'verbose', 'debug', 'trace'];
+
+/**
+ * Provides log levels per plugin / namespace. Plugins register a namespace and receive a logger that posts messages
+ * prefixed by the namespace through the standard `log:<level>` events. Messages are filtered by the log level set for
+ * the namespace and by the global log level when no namespace level is set. A namespace log level may be more verbose
+ * than the global log level; IE `--loglevel info,rollup=debug` logs debug messages from the `rollup` namespace while
+ * all other logging remains at `info`. Namespaces are case insensitive.
+ *
+ * Namespace levels are set by DynamicCommandFlags from the `--loglevel` flag through
+ * `typhonjs:oclif:system:handler:log:namespace:levels:set`. Several plugins may register the same namespace. A namespace
+ * is removed automatically when all plugins that registered it are removed from the plugin manager.
+ *
+ * @example
+ * const logger = globalThis.$$eventbus.triggerSync('typhonjs:oclif:system:handler:log:namespace:logger:get',
+ *  { namespace: 'rollup', pluginName: 'my-rollup-plugin' });
+ *
+ * logger.debug('Only logged when the `rollup` namespace or global log level is `debug` or more verbose.');
+ */
+export default class NamespaceLogHandler
+{
+   /**
+    * Returns a logger for the given namespace registering the namespace if necessary.
+    *
+    * @param {object}   options - Options object.
+    *
+    * @param {string}   options.namespace - The namespace to log under.
+    *
+    * @param {string}   options.pluginName - The plugin name registering the namespace.
+    *
+    * @returns {object} A logger w/ `fatal`, `error`, `warn`, `info`, `verbose`, `debug` and `trace` methods and
+    *          `isLevelEnabled(level)`.
+    */
+   static getLogger({ namespace, pluginName } = {})
+   {
+      if (typeof namespace !== 'string' || namespace === '')
+      {
+         throw new TypeError(`NamespaceLogHandler getLogger: 'namespace' is not a non-empty 'string'.`);
+      }
+
+      if (typeof pluginName !== 'string')
+      {
+         throw new TypeError(`NamespaceLogHandler getLogger: 'pluginName' is not a 'string'.`);
+      }
+
+      const key = namespace.toLowerCase();
+
+      if (!NamespaceLogHandler._namespaces.has(key)) { NamespaceLogHandler._namespaces.set(key, new Set()); }
+
+      NamespaceLogHandler._namespaces.get(key).add(pluginName);
+
+      const logger = { namespace: key, isLevelEnabled: (level) => NamespaceLogHandler.isLevelEnabled(key, level) };
+
+      for (const level of s_LOGGER_LEVELS) { logger[level] = (...msg) => NamespaceLogHandler.log(key, level, ...msg); }
+
+      return Object.freeze(logger);
+   }
+
+   /**
+    * Returns all registered namespaces.
+    *
+    * @returns {string[]} Registered namespaces.
+    */
+   static getNamespaces()
+   {
+      return [...NamespaceLogHandler._namespaces.keys()];
+   }
+
+   /**
+    * Returns whether a log level is enabled for a namespace. When no level is set for the namespace the global log
+    * level is checked.
+    *
+    * @param {string}   namespace - The namespace.
+    *
+    * @param {string}   level - The log level.
+    *
+    * @returns {boolean} Whether the log level is enabled.
+    */
+   static isLevelEnabled(namespace, level)
+   {
+      if (typeof s_LOG_LEVELS[level] !== 'number') { return false; }
+
+      const namespaceLevel = NamespaceLogHandler._levels.get(namespace.toLowerCase());
+
+      if (namespaceLevel === void 0)
+      {
+         return globalThis.$$eventbus.triggerSync('log:level:is:enabled', level) === true;
+      }
+
+      return s_LOG_LEVELS[level] >= s_LOG_LEVELS[namespaceLevel];
+   }
+
+   /**
+    * Posts a message prefixed by the namespace to the `log:<level>` event when the level is enabled for the namespace.
+    * When the namespace level is more verbose than the global log level the global log level is lowered while the
+    * message is posted.
+    *
+    * @param {string}   namespace - The namespace.
+    *
+    * @param {string}   level - The log level.
+    *
+    * @param {...*}     msg - Message arguments.
+    */
+   static log(namespace, level, ...msg)
+   {
+      if (!s_LOGGER_LEVELS.includes(level))
+      {
+         throw new TypeError(`NamespaceLogHandler log: unknown log level '${level}'.`);
+      }
+
+      if (!NamespaceLogHandler.isLevelEnabled(namespace, level)) { return; }
+
+      const eventbus = globalThis.$$eventbus;
+
+      // Prefix the first message string w/ the namespace otherwise add the namespace as a separate message.
+      const prefix = `[${namespace.toLowerCase()}]`;
+
+      msg = typeof msg[0] === 'string' ? [`${prefix} ${msg[0]}`, ...msg.slice(1)] : [prefix, ...msg];
+
+      if (eventbus.triggerSync('log:level:is:enabled', level) === true)
+      {
+         eventbus.trigger(`log:${level}`, ...msg);
+         return;
+      }
+
+      const globalLevel = eventbus.triggerSync('log:level:get');
+
+      eventbus.trigger('log:level:set', level);
+
+      try
+      {
+         eventbus.trigger(`log:${level}`, ...msg);
+      }
+      finally
+      {
+         eventbus.trigger('log:level:set', globalLevel);
+      }
+   }
+
+   /**
+    * Sets log levels by namespace. Namespaces do not need to be registered as plugins may register namespaces after
+    * levels are set.
+    *
+    * @param {object<string, string>} levels - Namespace to log level.
+    */
+   static setLevels(levels)
+   {
+      if (typeof levels !== 'object' || levels === null)
+      {
+         throw new TypeError(`NamespaceLogHandler setLevels: 'levels' is not an 'object'.`);
+      }
+
+      for (const [namespace, level] of Object.entries(levels))
+      {
+         if (typeof s_LOG_LEVELS[level] !== 'number')
+         {
+            throw new TypeError(`NamespaceLogHandler setLevels: unknown log level '${level}' for '${namespace}'.`);
+         }
+
+         NamespaceLogHandler._levels.set(namespace.toLowerCase(), level);
+      }
+   }
+
+   /**
+    * Wires up NamespaceLogHandler on the plugin eventbus.
+    *
+    * @param {object} ev - PluginEvent - The plugin event.
+    *
+    * @see https://www.npmjs.com/package/@typhonjs-plugin/manager
+    *
+    * @ignore
+    */
+   static onPluginLoad(ev)
+   {
+      ev.eventbus.on(`typhonjs:oclif:system:handler:log:namespace:get:all`, NamespaceLogHandler.getNamespaces,
+       NamespaceLogHandler, { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:log:namespace:levels:set`, NamespaceLogHandler.setLevels,
+       NamespaceLogHandler, { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:log:namespace:log`, NamespaceLogHandler.log, NamespaceLogHandler,
+       { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:log:namespace:logger:get`, NamespaceLogHandler.getLogger,
+       NamespaceLogHandler, { guard: true });
+
+      // Remove a plugin from the registrants of all namespaces when it is removed from the plugin manager. Namespaces
+      // are removed when no registrants remain.
+      ev.eventbus.on(`typhonjs:plugin:manager:plugin:removed`, (pluginData) =>
+      {
+         const pluginName = pluginData?.plugin?.name;
+
+         if (typeof pluginName !== 'string') { return; }
+
+         for (const [namespace, pluginNames] of NamespaceLogHandler._namespaces)
+         {
+            pluginNames.delete(pluginName);
+
+            if (pluginNames.size === 0) { NamespaceLogHandler._namespaces.delete(namespace); }
+         }
+      });
+   }
+
+   /**
+    * Clears all namespaces and levels when NamespaceLogHandler is removed from the plugin manager.
+    *
+    * @see https://www.npmjs.com/package/@typhonjs-plugin/manager
+    *
+    * @ignore
+    */
+   static onPluginUnload()
+   {
+      NamespaceLogHandler._levels.clear();
+      NamespaceLogHandler._namespaces.clear();
+   }
+}
+
+/**
+ * Stores log levels by namespace.
+ *
+ * @type {Map<string, string>}
+ */
+NamespaceLogHandler._levels = new Map();
+
+/**
+ * Stores registered namespaces and the names of all plugins that registered each namespace.
+ *
+ * @type {Map<string, Set<string>>}
+ */
+NamespaceLogHandler._namespaces = new Map();
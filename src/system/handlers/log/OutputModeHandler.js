@@ -0,0 +1,240 @@
+import logger   from '@typhonjs-utils/logger-color/plugin';
+
+/**
+ * Matches a raw log event capturing the log level; IE `log:info:raw`.
+ *
+ * @type {RegExp}
+ */
+const s_RAW_EVENT_REGEX = /^log:(\w+):raw$/;
+
+/**
+ * Applies the output mode of the CLI to the color logger. The output mode determines whether output is colored and
+ * whether quiet mode is enabled.
+ *
+ * Color is resolved in the following precedence:
+ * - `--no-color` / `{prefix}_NO_COLOR` disables color; like `NO_COLOR` when set to any non-empty value.
+ * - `FORCE_COLOR` enables color unless set to `0` or `false`.
+ * - `NO_COLOR` disables color when set to any non-empty value.
+ * - `TERM=dumb` disables color.
+ * - Otherwise color is enabled when stdout is a TTY.
+ *
+ * When color is disabled the color logger `noColor` option is enabled. Note: `@typhonjs-utils/logger-color` still
+ * appends a single ANSI reset code to each message when `noColor` is enabled. Quiet mode (`--quiet` / `{prefix}_QUIET`)
+ * lowers the log level to `warn` suppressing all log output below warnings. Raw log events such as the `--noop` banner
+ * posted through `logEvent` bypass quiet mode.
+ *
+ * Only the public options and log level of the color logger are changed. The color logger options in place when
+ * OutputModeHandler is loaded are restored when it is removed.
+ *
+ * The output mode is first set from the command line arguments and environment variables when OutputModeHandler is
+ * added in the init hook before any log output occurs. DynamicCommandFlags sets the output mode again from the final
+ * flags through `typhonjs:oclif:system:handler:output:mode:set` which includes values from config and *.env files.
+ */
+export default class OutputModeHandler
+{
+   /**
+    * Returns the current output mode.
+    *
+    * @returns {{color: boolean, quiet: boolean}} Current output mode.
+    */
+   static getMode()
+   {
+      return { ...OutputModeHandler._mode };
+   }
+
+   /**
+    * Returns whether an environment variable value disables color following the `NO_COLOR` convention; any non-empty
+    * value disables color.
+    *
+    * @param {string|void} value - Environment variable value.
+    *
+    * @returns {boolean} Whether color is disabled.
+    */
+   static isNoColorValue(value)
+   {
+      return typeof value === 'string' && value !== '';
+   }
+
+   /**
+    * Logs a message through the color logger. Use this instead of the color logger eventbus events when the eventbus
+    * may not be available.
+    *
+    * @param {string}   level - The log level.
+    *
+    * @param {...*}     msg - Message arguments.
+    */
+   static log(level, ...msg)
+   {
+      logger[level](...msg);
+   }
+
+   /**
+    * Posts a log event on the eventbus. Raw log events (`log:<level>:raw`) bypass quiet mode; as quiet mode only lowers
+    * the log level the log level is lowered while the event is posted.
+    *
+    * @param {string}   logEvent - The log event; IE `log:info` or `log:info:raw`.
+    *
+    * @param {...*}     msg - Message arguments.
+    */
+   static logEvent(logEvent, ...msg)
+   {
+      const eventbus = globalThis.$$eventbus;
+
+      const level = s_RAW_EVENT_REGEX.exec(logEvent)?.[1];
+
+      if (!OutputModeHandler._mode.quiet || level === void 0 || eventbus.triggerSync('log:level:is:enabled', level))
+      {
+         eventbus.trigger(logEvent, ...msg);
+         return;
+      }
+
+      const logLevel = eventbus.triggerSync('log:level:get');
+
+      eventbus.trigger('log:level:set', level);
+
+      try
+      {
+         eventbus.trigger(logEvent, ...msg);
+      }
+      finally
+      {
+         eventbus.trigger('log:level:set', logLevel);
+      }
+   }
+
+   /**
+    * Sets the output mode and applies it to the color logger.
+    *
+    * @param {object}   options - Options object.
+    *
+    * @param {boolean}  [options.noColor=false] - Disables color regardless of any environment variables or TTY.
+    *
+    * @param {boolean}  [options.quiet=false] - Suppresses all log output below warnings.
+    *
+    * @returns {{color: boolean, quiet: boolean}} The output mode set.
+    */
+   static setMode({ noColor = false, quiet = false } = {})
+   {
+      if (typeof noColor !== 'boolean')
+      {
+         throw new TypeError(`OutputModeHandler setMode: 'noColor' is not a 'boolean'.`);
+      }
+
+      if (typeof quiet !== 'boolean')
+      {
+         throw new TypeError(`OutputModeHandler setMode: 'quiet' is not a 'boolean'.`);
+      }
+
+      const color = !noColor && s_RESOLVE_COLOR(process.env, process.stdout);
+
+      OutputModeHandler._mode = { color, quiet };
+
+      logger.setOptions({ noColor: !color });
+
+      if (quiet && logger.isLevelEnabled('info')) { logger.setLogLevel('warn'); }
+
+      return OutputModeHandler.getMode();
+   }
+
+   /**
+    * Wires up OutputModeHandler on the plugin eventbus and sets the initial output mode from the command line
+    * arguments and environment variables provided in the plugin options.
+    *
+    * @param {object} ev - PluginEvent - The plugin event.
+    *
+    * @see https://www.npmjs.com/package/@typhonjs-plugin/manager
+    *
+    * @ignore
+    */
+   static onPluginLoad(ev)
+   {
+      ev.eventbus.on(`typhonjs:oclif:system:handler:output:mode:get`, OutputModeHandler.getMode, OutputModeHandler,
+       { guard: true });
+
+      ev.eventbus.on(`typhonjs:oclif:system:handler:output:mode:set`, OutputModeHandler.setMode, OutputModeHandler,
+       { guard: true });
+
+      // Store the color logger options to restore when removed.
+      OutputModeHandler._loggerOptions = logger.getOptions();
+
+      const argv = Array.isArray(ev.pluginOptions?.argv) ? ev.pluginOptions.argv : [];
+      const envPrefix = ev.pluginOptions?.envPrefix;
+
+      // Only arguments before `--` are flags.
+      const endIndex = argv.indexOf('--');
+      const flagArgv = endIndex >= 0 ? argv.slice(0, endIndex) : argv;
+
+      const noColorEnv = process.env[`${envPrefix}_NO_COLOR`];
+
+      OutputModeHandler.setMode({
+         noColor: flagArgv.includes('--no-color') || OutputModeHandler.isNoColorValue(noColorEnv),
+         quiet: flagArgv.includes('--quiet') || s_IS_ENV_TRUE(`${envPrefix}_QUIET`)
+      });
+   }
+
+   /**
+    * Restores the color logger options when OutputModeHandler is removed from the plugin manager.
+    *
+    * @see https://www.npmjs.com/package/@typhonjs-plugin/manager
+    *
+    * @ignore
+    */
+   static onPluginUnload()
+   {
+      if (OutputModeHandler._loggerOptions !== void 0) { logger.setOptions(OutputModeHandler._loggerOptions); }
+
+      OutputModeHandler._loggerOptions = void 0;
+      OutputModeHandler._mode = { color: true, quiet: false };
+   }
+}
+
+/**
+ * Stores the color logger options in place when OutputModeHandler is loaded.
+ *
+ * @type {object|void}
+ */
+OutputModeHandler._loggerOptions = void 0;
+
+/**
+ * Stores the current output mode.
+ *
+ * @type {{color: boolean, quiet: boolean}}
+ */
+OutputModeHandler._mode = { color: true, quiet: false };
+
+/**
+ * Returns whether an environment variable is set to `true` or `1`.
+ *
+ * @param {string}   envVar - Environment variable name.
+ *
+ * @returns {boolean} Whether the environment variable is true.
+ */
+function s_IS_ENV_TRUE(envVar)
+{
+   const value = process.env[envVar];
+
+   return typeof value === 'string' && ['true', '1'].includes(value.trim().toLowerCase());
+}
+
+/**
+ * Resolves whether color output is enabled from standard environment variables and TTY detection.
+ *
+ * @param {object}   env - Environment variables.
+ *
+ * @param {object}   stream - The output stream.
+ *
+ * @returns {boolean} Whether color output is enabled.
+ */
+function s_RESOLVE_COLOR(env, stream)
+{
+   if (typeof env.FORCE_COLOR === 'string')
+   {
+      return !['0', 'false'].includes(env.FORCE_COLOR.trim().toLowerCase());
+   }
+
+   if (OutputModeHandler.isNoColorValue(env.NO_COLOR)) { return false; }
+
+   if (env.TERM === 'dumb') { return false; }
+
+   return stream?.isTTY === true;
+}
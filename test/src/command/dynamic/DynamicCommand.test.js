@@ -0,0 +1,174 @@
+import fs              from 'fs';
+import os              from 'os';
+import path            from 'path';
+
+import oclif           from '@oclif/core';
+import { expect }      from 'chai';
+
+import {
+   fixtureDir,
+   initCommand,
+   setup }             from '../../utils/setup.js';
+
+const s_CONFIG_DIR = path.resolve(fixtureDir, 'config');
+
+describe('DynamicCommand:', () =>
+{
+   let config;
+
+   before(async () =>
+   {
+      config = await setup({
+         'test-direct': oclif.Flags.string({
+            default: (context) => context !== null && typeof process.env.TCLI_DIRECT === 'string' ?
+             process.env.TCLI_DIRECT : 'default'
+         }),
+         'test-env-file': oclif.Flags.string({ env: true, default: 'default' }),
+         'test-shell': oclif.Flags.string({ env: true, default: 'default' })
+      });
+   });
+
+   describe('_loadConfigFile:', () =>
+   {
+      let warnings;
+
+      const onWarn = (message) => warnings.push(message);
+
+      beforeEach(() =>
+      {
+         warnings = [];
+         globalThis.$$eventbus.on('log:warn', onWarn);
+      });
+
+      afterEach(() => globalThis.$$eventbus.off('log:warn', onWarn));
+
+      it('parses config values like CLI arguments', async () =>
+      {
+         const command = await initCommand(config, ['--cwd', s_CONFIG_DIR]);
+
+         expect(command.cliFlags['error-format']).to.equal('json');
+         expect(command.cliFlags['logfile-max-size']).to.equal(2048);
+         expect(command.cliFlags['metafile-max-count']).to.equal(5);
+         expect(command.flagSources['logfile-max-size']).to.equal('config');
+         expect(command.flagSources['metafile-max-count']).to.equal('config');
+      });
+
+      it('ignores config values not valid for the flag', async () =>
+      {
+         const command = await initCommand(config, ['--cwd', s_CONFIG_DIR]);
+
+         expect(command.cliFlags['logfile-format']).to.equal('text');
+         expect(command.flagSources['logfile-format']).to.equal('default');
+         expect(command.flagSources['metafile-max-age']).to.equal('default');
+
+         expect(warnings.some((message) => message.includes(`'logfile-format'`))).to.be.true;
+         expect(warnings.some((message) => message.includes(`'metafile-max-age'`))).to.be.true;
+      });
+
+      it('CLI arguments take precedence over config values', async () =>
+      {
+         const command = await initCommand(config, ['--cwd', s_CONFIG_DIR, '--test-shell', 'argv']);
+
+         expect(command.cliFlags['test-shell']).to.equal('argv');
+         expect(command.flagSources['test-shell']).to.equal('argv');
+      });
+
+      it('bound environment variables take precedence over config values', async () =>
+      {
+         process.env.TCLI_TEST_SHELL = 'env';
+
+         try
+         {
+            const command = await initCommand(config, ['--cwd', s_CONFIG_DIR]);
+
+            expect(command.cliFlags['test-shell']).to.equal('env');
+            expect(command.flagSources['test-shell']).to.equal('env');
+         }
+         finally
+         {
+            delete process.env.TCLI_TEST_SHELL;
+         }
+      });
+
+      it('defaults reading the environment directly take precedence over config values', async () =>
+      {
+         process.env.TCLI_DIRECT = 'env';
+
+         try
+         {
+            const command = await initCommand(config, ['--cwd', s_CONFIG_DIR]);
+
+            expect(command.cliFlags['test-direct']).to.equal('env');
+         }
+         finally
+         {
+            delete process.env.TCLI_DIRECT;
+         }
+
+         const command = await initCommand(config, ['--cwd', s_CONFIG_DIR]);
+
+         expect(command.cliFlags['test-direct']).to.equal('config');
+      });
+
+      it('*.env file values take precedence over config values', async () =>
+      {
+         const command = await initCommand(config, ['--cwd', s_CONFIG_DIR, '--env', 'base']);
+
+         expect(command.cliFlags['test-env-file']).to.equal('env-file');
+         expect(command.flagSources['test-env-file']).to.equal('env-file');
+         expect(command.cliFlags['test-shell']).to.equal('config');
+         expect(command.flagSources['test-shell']).to.equal('config');
+      });
+   });
+
+   describe('_resolveFlagSources:', () =>
+   {
+      it('does not report *.env file keys from a previous run', async () =>
+      {
+         await initCommand(config, ['--cwd', s_CONFIG_DIR, '--env', 'base']);
+
+         process.env.TCLI_TEST_ENV_FILE = 'env';
+
+         try
+         {
+            const command = await initCommand(config, ['--cwd', s_CONFIG_DIR]);
+
+            expect(command.cliFlags['test-env-file']).to.equal('env');
+            expect(command.flagSources['test-env-file']).to.equal('env');
+         }
+         finally
+         {
+            delete process.env.TCLI_TEST_ENV_FILE;
+         }
+      });
+   });
+
+   describe('_loadReplay:', () =>
+   {
+      let tempDir;
+
+      before(() => tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dynamic-command-')));
+
+      after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+      for (const format of ['zip', 'tar.gz'])
+      {
+         it(`replays flags set from *.env files from a '${format}' metafile archive`, async () =>
+         {
+            const archiveDir = path.join(tempDir, format);
+
+            await initCommand(config, ['--cwd', s_CONFIG_DIR, '--env', 'base', '--metafile', '--metafile-dest',
+             archiveDir, '--metafile-format', format]);
+
+            const [filename] = fs.readdirSync(archiveDir);
+
+            const command = await initCommand(config, ['--cwd', s_CONFIG_DIR, '--replay',
+             path.join(archiveDir, filename)]);
+
+            expect(command.cliFlags['test-env-file']).to.equal('env-file');
+            expect(command.flagSources['test-env-file']).to.equal('argv');
+            expect(command.envFileValues).to.deep.equal({});
+         });
+      }
+   });
+});
@@ -0,0 +1,111 @@
+import fs                 from 'fs';
+import path               from 'path';
+
+import oclif              from '@oclif/core';
+import { expect }         from 'chai';
+
+import DynamicCommandHelp from '../../../../src/command/dynamic/DynamicCommandHelp.js';
+
+import {
+   setup,
+   TestCommand }          from '../../utils/setup.js';
+
+/**
+ * The command config shown by help.
+ *
+ * @type {object}
+ */
+const s_COMMAND_CONFIG = { id: TestCommand.id, description: 'Test command.', aliases: [], args: [], flags: {},
+ load: async () => TestCommand };
+
+describe('DynamicCommandHelp:', () =>
+{
+   let config, consoleLog, output;
+
+   before(async () =>
+   {
+      config = await setup({
+         'test-secret': oclif.Flags.string({ description: 'A secret.', env: true, secret: true }),
+         'test-secret-switch': oclif.Flags.boolean({ description: 'A secret switch.', env: true, secret: true })
+      });
+   });
+
+   beforeEach(() =>
+   {
+      process.env.TCLI_TEST_SECRET = 'super-secret-value';
+      process.env.TCLI_TEST_SECRET_SWITCH = 'true';
+
+      output = [];
+      consoleLog = console.log;
+      console.log = (...msg) => output.push(msg.join(' '));
+   });
+
+   afterEach(() =>
+   {
+      console.log = consoleLog;
+
+      delete process.env.TCLI_TEST_SECRET;
+      delete process.env.TCLI_TEST_SECRET_SWITCH;
+   });
+
+   it('masks the defaults of secret flags in text help', async () =>
+   {
+      await new DynamicCommandHelp(config).showCommandHelp({ ...s_COMMAND_CONFIG });
+
+      const text = output.join('\n');
+
+      expect(text).to.include('--test-secret');
+      expect(text).to.not.include('super-secret-value');
+      expect(text).to.not.include('[default: true] A secret switch.');
+   });
+
+   it('masks the defaults of secret flags in JSON help', async () =>
+   {
+      const help = new DynamicCommandHelp(config);
+
+      help._json = true;
+
+      await help.showCommandHelp({ ...s_COMMAND_CONFIG });
+
+      const flags = JSON.parse(output.join('\n')).flagGroups.flatMap((group) => group.flags);
+
+      const secretFlag = flags.find((flag) => flag.name === 'test-secret');
+      const secretSwitch = flags.find((flag) => flag.name === 'test-secret-switch');
+
+      expect(secretFlag.secret).to.be.true;
+      expect(secretFlag.default).to.equal('[REDACTED]');
+      expect(secretSwitch.default).to.equal('[REDACTED]');
+      expect(JSON.stringify(flags)).to.not.include('super-secret-value');
+   });
+
+   it('reports commands that fail to load distinctly in root help', async () =>
+   {
+      const commands = [
+         { ...s_COMMAND_CONFIG },
+         { ...s_COMMAND_CONFIG, id: 'broken', load: async () => { throw new Error('Broken command.'); } }
+      ];
+
+      const help = new DynamicCommandHelp(config);
+
+      Object.defineProperty(help, 'sortedCommands', { value: commands });
+
+      await help.showRootHelp();
+
+      const text = output.join('\n');
+
+      expect(text).to.include('[unavailable: failed to load plugin flags]');
+      expect(text).to.include('[plugin flags: test (2)]');
+
+      output.length = 0;
+      help._json = true;
+
+      await help.showRootHelp();
+
+      const broken = JSON.parse(output.join('\n')).commands.find((command) => command.id === 'broken');
+
+      expect(broken.available).to.be.false;
+      expect(broken.error).to.equal('Broken command.');
+
+      expect(fs.existsSync(path.join(config.cacheDir, 'help-summaries.json'))).to.be.false;
+   });
+});
@@ -0,0 +1,66 @@
+import fs              from 'fs';
+import os              from 'os';
+import path            from 'path';
+
+import { expect }      from 'chai';
+
+import errorHandler, {
+   errorHandlerAsync } from '../../../../../src/system/handlers/exception/errorHandler.js';
+
+import { setup }       from '../../../utils/setup.js';
+
+describe('errorHandler:', () =>
+{
+   let consoleError, logDir, output;
+
+   before(async () =>
+   {
+      await setup();
+   });
+
+   beforeEach(() =>
+   {
+      logDir = fs.mkdtempSync(path.join(os.tmpdir(), 'error-handler-'));
+
+      globalThis.$$cli_log_dir = logDir;
+
+      process.env.TCLI_CRASH_METAFILE = '1';
+      process.env.TCLI_ERROR_FORMAT = 'json';
+
+      output = [];
+      consoleError = console.error;
+      console.error = (message) => output.push(message);
+   });
+
+   afterEach(() =>
+   {
+      console.error = consoleError;
+
+      delete process.env.TCLI_CRASH_METAFILE;
+      delete process.env.TCLI_ERROR_FORMAT;
+
+      fs.rmSync(logDir, { recursive: true, force: true });
+   });
+
+   it('handles the error synchronously without writing a crash metafile', () =>
+   {
+      expect(errorHandler(new Error('sync'), false)).to.be.undefined;
+
+      expect(output.length).to.equal(1);
+      expect(JSON.parse(output[0]).crashMetafile).to.be.null;
+      expect(fs.readdirSync(logDir)).to.deep.equal([]);
+   });
+
+   it('errorHandlerAsync writes a crash metafile before handling the error', async () =>
+   {
+      await errorHandlerAsync(new Error('async'), false);
+
+      expect(output.length).to.equal(1);
+
+      const { crashMetafile } = JSON.parse(output[0]);
+
+      expect(crashMetafile).to.be.a('string');
+      expect(fs.existsSync(crashMetafile)).to.be.true;
+      expect(path.dirname(crashMetafile)).to.equal(logDir);
+   });
+});
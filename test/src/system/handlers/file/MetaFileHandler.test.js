@@ -0,0 +1,60 @@
+import { expect }       from 'chai';
+
+import DynamicCommand   from '../../../../../src/command/dynamic/DynamicCommand.js';
+import MetaFileHandler  from '../../../../../src/system/handlers/file/MetaFileHandler.js';
+import MetaFileRedactor from '../../../../../src/system/handlers/file/MetaFileRedactor.js';
+
+/**
+ * A minimal command providing the metafile data read by the redactor.
+ */
+class TestCommand
+{
+   constructor(envFileValues)
+   {
+      this.cliFlags = { cwd: '/home/u/production-app' };
+      this.envFileValues = envFileValues;
+   }
+}
+
+TestCommand.flags = {};
+TestCommand._metaFileData = DynamicCommand._metaFileData;
+
+describe('MetaFileHandler:', () =>
+{
+   describe('redactText:', () =>
+   {
+      it('does not redact non-secret *.env file values', () =>
+      {
+         const command = new TestCommand({ NODE_ENV: 'production' });
+
+         expect(MetaFileHandler.redactText('/home/u/production-app', command)).to.equal('/home/u/production-app');
+      });
+
+      it('redacts *.env file values w/ a secret name wherever they occur', () =>
+      {
+         const command = new TestCommand({ NODE_ENV: 'production', API_TOKEN: 'abc123xyz' });
+
+         expect(MetaFileHandler.redactText('curl -H abc123xyz /home/u/production-app', command)).to.equal(
+          `curl -H ${MetaFileRedactor.REDACTED} /home/u/production-app`);
+      });
+   });
+});
+
+describe('MetaFileRedactor:', () =>
+{
+   it('redacts every string in a redacted file only', () =>
+   {
+      const redactor = new MetaFileRedactor({
+         envValues: { NODE_ENV: 'production' },
+         redactedFiles: ['env-file-values.json']
+      });
+
+      expect(redactor.redact({ NODE_ENV: 'production' }, 'env-file-values.json')).to.deep.equal(
+       { NODE_ENV: MetaFileRedactor.REDACTED });
+
+      expect(redactor.redact({ cwd: '/home/u/production-app' }, 'cli-flags.json')).to.deep.equal(
+       { cwd: '/home/u/production-app' });
+
+      expect(redactor.getSummary().redacted).to.deep.equal({ 'env-file-values.json': ['NODE_ENV'] });
+   });
+});
@@ -0,0 +1,187 @@
+import fs              from 'fs';
+import os              from 'os';
+import path            from 'path';
+import zlib            from 'zlib';
+
+import FileArchive     from '@typhonjs-utils/file-archive';
+import { expect }      from 'chai';
+
+import MetaFileReader  from '../../../../../src/system/handlers/file/MetaFileReader.js';
+
+import {
+   initCommand,
+   setup }             from '../../../utils/setup.js';
+
+/**
+ * Creates a ustar header w/ a valid checksum.
+ *
+ * @param {string}   name - Entry name.
+ *
+ * @param {string}   type - Entry type flag.
+ *
+ * @param {number}   size - Entry size.
+ *
+ * @returns {Buffer} Tar header.
+ */
+function createTarHeader(name, type, size)
+{
+   const header = Buffer.alloc(512);
+
+   header.write(name, 0);
+   header.write('0000644\0', 100);
+   header.write(`${size.toString(8).padStart(11, '0')}\0`, 124);
+   header.write(type, 156);
+   header.write('ustar\u000000', 257);
+   header.fill(' ', 148, 156);
+
+   const sum = header.reduce((total, byte) => total + byte, 0);
+
+   header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+
+   return header;
+}
+
+describe('MetaFileReader:', () =>
+{
+   const archives = {};
+
+   let tempDir;
+
+   before(async () =>
+   {
+      const config = await setup();
+
+      tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metafile-reader-'));
+
+      for (const format of ['zip', 'tar.gz', 'dir'])
+      {
+         const archiveDir = path.join(tempDir, format);
+
+         await initCommand(config, ['--metafile', '--metafile-dest', archiveDir, '--metafile-format', format]);
+
+         const filenames = fs.readdirSync(archiveDir);
+
+         expect(filenames.length).to.equal(1);
+
+         archives[format] = path.join(archiveDir, filenames[0]);
+      }
+   });
+
+   after(() => fs.rmSync(tempDir, { recursive: true, force: true }));
+
+   describe('isMetafileArchive:', () =>
+   {
+      for (const format of ['zip', 'tar.gz', 'dir'])
+      {
+         it(`identifies a '${format}' metafile archive`, async () =>
+         {
+            expect(await MetaFileReader.isMetafileArchive(archives[format])).to.be.true;
+         });
+      }
+
+      for (const format of ['zip', 'tar.gz'])
+      {
+         it(`rejects a '${format}' archive without 'manifest.json' as the first entry`, async () =>
+         {
+            const filepath = path.join(tempDir, 'other');
+
+            const fileArchive = new FileArchive({ compressFormat: format });
+
+            fileArchive.archiveCreate({ filepath, silent: true });
+            fileArchive.writeFile({ data: '{}', filepath: 'other.json', silent: true });
+            fileArchive.writeFile({ data: '{}', filepath: 'manifest.json', silent: true });
+
+            await fileArchive.archiveFinalize();
+
+            expect(await MetaFileReader.isMetafileArchive(`${filepath}.${format}`)).to.be.false;
+         });
+      }
+
+      it('rejects a file that is not an archive', async () =>
+      {
+         const filepath = path.join(tempDir, 'text.zip');
+
+         fs.writeFileSync(filepath, 'manifest.json');
+
+         expect(await MetaFileReader.isMetafileArchive(filepath)).to.be.false;
+      });
+   });
+
+   describe('read:', () =>
+   {
+      for (const format of ['zip', 'tar.gz', 'dir'])
+      {
+         it(`reads entries from a '${format}' metafile archive`, async () =>
+         {
+            const entries = await MetaFileReader.read(archives[format], ['manifest.json', 'cli-flags.json', 'none']);
+
+            expect(Object.keys(entries).sort()).to.deep.equal(['cli-flags.json', 'manifest.json']);
+            expect(JSON.parse(entries['cli-flags.json'].toString('utf8')).metafile).to.be.true;
+         });
+      }
+
+      for (const format of ['zip', 'tar.gz'])
+      {
+         it(`rejects a '${format}' archive exceeding the entry count limit`, async () =>
+         {
+            await expectReject(MetaFileReader.read(archives[format], ['manifest.json'], { maxEntryCount: 2 }),
+             'exceeds 2 entries');
+         });
+
+         it(`rejects a '${format}' archive exceeding the output length limit`, async () =>
+         {
+            await expectReject(MetaFileReader.read(archives[format], ['manifest.json', 'cli-flags.json'],
+             { maxOutputLength: 1024 }), 'exceeds 1024 bytes');
+         });
+      }
+
+      it('rejects tar entry types not written by FileArchive', async () =>
+      {
+         const filepath = path.join(tempDir, 'longname.tar.gz');
+
+         const data = Buffer.alloc(512);
+         data.write('manifest.json');
+
+         fs.writeFileSync(filepath, zlib.gzipSync(Buffer.concat([createTarHeader('././@LongLink', 'L', 14), data,
+          Buffer.alloc(1024)])));
+
+         await expectReject(MetaFileReader.read(filepath, ['manifest.json']), `unsupported entry type 'L'`);
+      });
+
+      it('rejects tar headers that are not ustar', async () =>
+      {
+         const filepath = path.join(tempDir, 'v7.tar.gz');
+
+         const header = createTarHeader('manifest.json', '0', 0);
+         header.fill(0, 257, 265);
+
+         fs.writeFileSync(filepath, zlib.gzipSync(Buffer.concat([header, Buffer.alloc(1024)])));
+
+         await expectReject(MetaFileReader.read(filepath, ['manifest.json']), 'unsupported header');
+      });
+   });
+});
+
+/**
+ * Expects the given promise to reject w/ an error message including the given text.
+ *
+ * @param {Promise}  promise - Promise to test.
+ *
+ * @param {string}   text - Expected error message text.
+ *
+ * @returns {Promise<void>}
+ */
+async function expectReject(promise, text)
+{
+   try
+   {
+      await promise;
+   }
+   catch (err)
+   {
+      expect(err.message).to.include(text);
+      return;
+   }
+
+   expect.fail(`Expected rejection including: ${text}`);
+}
@@ -0,0 +1,32 @@
+import { expect }            from 'chai';
+
+import NamespaceLogHandler   from '../../../../../src/system/handlers/log/NamespaceLogHandler.js';
+
+import { setup }             from '../../../utils/setup.js';
+
+describe('NamespaceLogHandler:', () =>
+{
+   before(async () =>
+   {
+      await setup();
+
+      await globalThis.$$pluginManager.add({ name: 'plugin-a', instance: {} });
+      await globalThis.$$pluginManager.add({ name: 'plugin-b', instance: {} });
+   });
+
+   it('removes a namespace only when all registering plugins are removed', async () =>
+   {
+      NamespaceLogHandler.getLogger({ namespace: 'Shared', pluginName: 'plugin-a' });
+      NamespaceLogHandler.getLogger({ namespace: 'shared', pluginName: 'plugin-b' });
+
+      expect(NamespaceLogHandler.getNamespaces()).to.include('shared');
+
+      await globalThis.$$pluginManager.remove({ plugins: 'plugin-a' });
+
+      expect(NamespaceLogHandler.getNamespaces()).to.include('shared');
+
+      await globalThis.$$pluginManager.remove({ plugins: 'plugin-b' });
+
+      expect(NamespaceLogHandler.getNamespaces()).to.not.include('shared');
+   });
+});
@@ -0,0 +1,63 @@
+import logger              from '@typhonjs-utils/logger-color/plugin';
+import { expect }          from 'chai';
+
+import OutputModeHandler   from '../../../../../src/system/handlers/log/OutputModeHandler.js';
+
+import { setup }           from '../../../utils/setup.js';
+
+describe('OutputModeHandler:', () =>
+{
+   let consoleLog, output;
+
+   beforeEach(async () =>
+   {
+      await setup();
+
+      globalThis.$$eventbus.trigger('log:level:set', 'info');
+
+      output = [];
+      consoleLog = console.log;
+      console.log = (message) => output.push(message);
+   });
+
+   afterEach(() =>
+   {
+      console.log = consoleLog;
+   });
+
+   it('only sets the color logger noColor option', () =>
+   {
+      logger.setOptions({ consoleEnabled: true, showDate: true });
+
+      OutputModeHandler.setMode({ noColor: true });
+
+      expect(logger.getOptions()).to.include({ consoleEnabled: true, noColor: true, showDate: true });
+
+      logger.setOptions({ showDate: false });
+   });
+
+   it('quiet mode suppresses output below warnings except raw log events', () =>
+   {
+      OutputModeHandler.setMode({ noColor: true, quiet: true });
+
+      OutputModeHandler.logEvent('log:info', 'info');
+      OutputModeHandler.logEvent('log:info:raw', 'raw');
+      OutputModeHandler.logEvent('log:warn', 'warn');
+
+      expect(output.length).to.equal(2);
+      expect(output[0]).to.include('raw');
+      expect(output[1]).to.include('warn');
+      expect(logger.getLogLevel()).to.equal('warn');
+   });
+
+   it('restores the color logger options when removed', async () =>
+   {
+      const options = logger.getOptions();
+
+      OutputModeHandler.setMode({ noColor: !options.noColor });
+
+      await globalThis.$$pluginManager.remove({ plugins: '@typhonjs-oclif/core/OutputModeHandler' });
+
+      expect(logger.getOptions()).to.deep.equal(options);
+   });
+});
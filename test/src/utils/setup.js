@@ -0,0 +1,92 @@
+import path                   from 'path';
+import url                    from 'url';
+
+import oclif                  from '@oclif/core';
+
+import init                   from '../../../src/hooks/init.js';
+
+import {
+   DynamicCommand,
+   DynamicCommandFlags }      from '../../../src/index.js';
+
+/**
+ * The root directory of the test fixtures.
+ *
+ * @type {string}
+ */
+export const fixtureDir = path.resolve(path.dirname(url.fileURLToPath(import.meta.url)), '../../fixture');
+
+/**
+ * A minimal dynamic command used to run flag initialization.
+ */
+export class TestCommand extends DynamicCommand
+{
+   async run()
+   {
+      return this.cliFlags;
+   }
+}
+
+TestCommand._dynamicCommand = { flagCommands: ['default', 'test'] };
+TestCommand.id = 'test';
+
+/**
+ * Loads the Oclif config for this package, runs the init hook for the `tcli` CLI and adds the default flags and any
+ * additional test flags. Log output below errors is suppressed via `TCLI_LOG_LEVEL`.
+ *
+ * @param {object}   [flags] - Additional flags added under the `test` flag command.
+ *
+ * @returns {Promise<object>} The Oclif config.
+ */
+export async function setup(flags = {})
+{
+   const config = await oclif.Config.load(path.resolve(fixtureDir, '../..'));
+
+   config.bin = 'tcli';
+
+   await init.call({ error: (err) => { throw err; } }, { config, id: TestCommand.id, argv: [] });
+
+   process.env.TCLI_LOG_LEVEL = 'error';
+
+   globalThis.$$eventbus.trigger('log:level:set', 'error');
+
+   globalThis.$$eventbus.trigger('typhonjs:oclif:system:handler:flag:add', {
+      command: 'default',
+      pluginName: '@typhonjs-oclif/core',
+      flags: DynamicCommandFlags.flags,
+      verify: DynamicCommandFlags.verify
+   });
+
+   globalThis.$$eventbus.trigger('typhonjs:oclif:system:handler:flag:add', {
+      command: 'test',
+      pluginName: 'test',
+      flags
+   });
+
+   return config;
+}
+
+/**
+ * Initializes the test command w/ the given CLI arguments then restores the process environment.
+ *
+ * @param {object}   config - The Oclif config.
+ *
+ * @param {string[]} argv - CLI arguments.
+ *
+ * @returns {Promise<TestCommand>} The initialized command.
+ */
+export async function initCommand(config, argv = [])
+{
+   const command = new TestCommand(argv, config);
+
+   try
+   {
+      await command.init();
+   }
+   finally
+   {
+      await command.finally();
+   }
+
+   return command;
+}
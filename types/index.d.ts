@@ -17,11 +17,22 @@ declare class DynamicCommand {
      * @returns {Promise<{}>} - Parsed flags.
      */
     static loadDynamicFlags(CommandClass: object, config: object, loadDefault?: boolean): Promise<{}>;
+    /**
+     * Associates this command with any error thrown while running the command so that `errorHandler` is able to
+     * include the command flags and config in any crash metafile.
+     *
+     * @param {Error} error - The error thrown.
+     *
+     * @returns {Promise<void>}
+     */
+    catch(error: Error): Promise<void>;
     /**
      * Performs any final steps before the command execution completes. This is useful for logging any data
-     * in response to the `--metafile` flag.
+     * in response to the `--metafile` flag. The process environment is restored to the state captured in `init`.
+     *
+     * @param {Error}    [error] - Any error that occurred running the command.
      */
-    finally(): Promise<void>;
+    finally(error?: Error): Promise<void>;
     /**
      * Returns the parsed data.
      *
@@ -35,11 +46,68 @@ declare class DynamicCommand {
      */
     get cliFlags(): any;
     /**
-     * Attempts to load environment variables from a *.env file w/ `dotenv`. Many flags have defaults, but also can be
+     * Returns the environment variables added to the process environment from any *.env files.
+     *
+     * @returns {object} Environment variable names to values.
+     */
+    get envFileValues(): any;
+    /**
+     * Returns the time when the command started initialization.
+     *
+     * @returns {Date} Command start time.
+     */
+    get startTime(): Date;
+    /**
+     * Returns the source of each parsed CLI flag value. Sources are: `argv`, `env` (shell environment), `env-file`
+     * (*.env file loaded by `--env`), `config` (project config file) or `default`.
+     *
+     * @returns {object} Flag name to source of the flag value.
+     */
+    get flagSources(): any;
+    /**
+     * Attempts to load a project config file for the CLI with `cosmiconfig` from the current working directory. Any
+     * config file found provides flag defaults scoped by command. The config file is an object keyed by the flag
+     * command names and the command ID where each entry is an object of flag names to values. Entries for the command
+     * ID take precedence over the flag command names.
+     *
+     * Config file values take precedence over built-in defaults, but not environment variables, *.env files or CLI
+     * arguments. The existing default of each flag is checked first and any value that differs from the default loaded
+     * without environment variables (`context` is `null`) is used; this covers environment variables bound by
+     * FlagHandler and any default function reading the environment. Oclif option flags w/ `env` are read by Oclif
+     * before defaults. Config values are validated like CLI arguments by the flag `options` and `parse` function;
+     * invalid values are ignored w/ a warning.
+     *
+     * Note: If a config file provides any flag defaults the flags are parsed again via `this.parse(CommandClass)`.
+     *
+     * @param {object}   existingFlags - parsed flags from command.
+     *
+     * @param {object}   CommandClass - The actual child command class.
+     *
+     * @param {string[]} commands - The flag command names.
+     *
+     * @returns {object} Either the existing flags if there is no config file to load or the new flags after config
+     * file defaults have been applied.
+     *
+     * @private
+     */
+    private _loadConfigFile;
+    _configFlagNames: Set<any>;
+    /**
+     * Attempts to load environment variables from *.env files w/ `dotenv`. Many flags have defaults, but also can be
      * set with environment variables and this is a convenient way to load many different configurations.
      *
-     * Note: If an environment file is loaded by `dotenv` the flags are parsed again below via
-     * `this.parse(BuildCommand)`.
+     * Multiple environment files may be layered in order as a comma separated list; IE `-e base,ci`. Environment files
+     * are loaded from the `--env-dir` directory (default: `./env`) and cascade in the following order where later files
+     * take precedence:
+     * - `.env` - optional; loaded first when any environment file is requested.
+     * - `<name>.env` - required for each requested name.
+     * - `<name>.local.env` - optional; loaded after each requested name.
+     *
+     * Values may reference other environment variables with `${VAR}` which is interpolated from the existing process
+     * environment or any previously loaded value. Existing process environment variables are never overwritten.
+     *
+     * Note: If any environment file is loaded the flags are parsed again below via `this.parse(CommandClass)` after all
+     * environment files are loaded.
      *
      * @param {object}   existingFlags - parsed flags from command.
      *
@@ -51,15 +119,45 @@ declare class DynamicCommand {
      * @private
      */
     private _loadEnvFile;
+    /**
+     * Loads the flags and any *.env file values stored in the metafile archive given by the `--replay` flag to reproduce
+     * a previous command run. Stored flags that were not set from a default are prepended to the CLI arguments and
+     * stored *.env file values are added to the process environment. Flags provided on the command line take
+     * precedence. The `cwd`, `env`, `env-dir`, logfile and metafile flags are not replayed allowing the run to be
+     * reproduced in a chosen working directory. Redacted values are not replayed; disable the `redactEnvFile` redaction
+     * option to store *.env file values in archives.
+     *
+     * Any differences between the CLI version or plugins recorded in the archive manifest and the current runtime are
+     * logged before replaying.
+     *
+     * @param {object}   existingFlags - parsed flags from command.
+     *
+     * @param {object}   CommandClass - The actual child command class.
+     *
+     * @returns {object} Either the existing flags if there is no replay archive or the new flags after the stored flags
+     * and environment variables have been loaded.
+     *
+     * @private
+     */
+    private _loadReplay;
+    argv: any;
     /**
      * Performs all initialization, loading of flags from *.env file via dotenv and verification of flags.
+     *
+     * A snapshot of the process environment is captured before initialization and restored in `finally`.
      */
     init(): Promise<void>;
+    _startTime: Date;
     _cliFlags: any;
     _commandData: any;
+    _envFileValues: {};
+    _flagSources: any;
     /**
      * Performs all initialization, loading of flags from *.env file via dotenv and verification of flags.
      *
+     * Flag values are resolved in the following precedence: CLI argument > environment variable > *.env file >
+     * config file > built-in default.
+     *
      * @param {string[]} commands - The actual command names.
      *
      * @returns {object} Parsed and verified flags.
@@ -67,6 +165,30 @@ declare class DynamicCommand {
      * @private
      */
     private _initializeFlags;
+    /**
+     * Parses flags for the command storing the Oclif parse metadata used to determine flag sources.
+     *
+     * @param {object}   CommandClass - The actual child command class.
+     *
+     * @returns {Promise<object>} Parsed flags.
+     *
+     * @private
+     */
+    private _parseFlags;
+    _flagsMetadata: any;
+    /**
+     * Determines the source of each parsed flag value from the last parse metadata, any bound environment variables,
+     * environment variables added from a *.env file and flags provided by a config file.
+     *
+     * @param {object}   flags - Final parsed flags.
+     *
+     * @param {object}   CommandClass - The actual child command class.
+     *
+     * @returns {object} Flag name to source of the flag value.
+     *
+     * @private
+     */
+    private _resolveFlagSources;
     /**
      * Provides the base method to be overridden to provide per command implementation details.
      *
@@ -89,12 +211,51 @@ declare class DynamicCommandFlags {
      * Defines standard flags shared across multiple commands.
      *
      * Added flags include:
-     * `--cwd`       -      - Use an alternative working directory.      - default: `'.'`     - env: {prefix}_CWD
-     * `--env`       - `-e` - Name of *.env file to load from `./env`.
-     * `--loglevel`  -      - Sets log level.                            - default: `'info'`  - env: {prefix}_LOG_LEVEL
-     * `--metafile`  -      - Archives CLI runtime metafiles.            - default: `false`  -
-     * `--no-color`  -      - Output and log with no color.              - default: `false`   -
-     * `--noop`      -      - Prints essential bundling info and exits.  - default: `false`   -
+     * `--cwd`                -      - Use an alternative working directory.      - default: `'.'`
+     *                                  - env: {prefix}_CWD
+     * `--env`                - `-e` - Name of *.env file(s) to load from `./env`.
+     *                                  - `-e base,ci` layers multiple *.env files in order.
+     * `--env-dir`            -      - Directory to load *.env files from.        - default: `'env'`
+     *                                  - env: {prefix}_ENV_DIR
+     * `--error-format`       -      - Error output format (text, json).          - default: `'text'`
+     *                                  - env: {prefix}_ERROR_FORMAT
+     * `--logfile`            -      - Writes log output to a file.               - default: `false`
+     *                                  - `--logfile=<path>` is shorthand for `--logfile --logfile-path <path>`.
+     *                                  - env: {prefix}_LOGFILE
+     * `--logfile-path`       -      - Log file path.                             - default: `<log dir>/<cli>.log`
+     *                                  - env: {prefix}_LOGFILE_PATH
+     * `--logfile-format`     -      - Log file format (text, ndjson).            - default: `'text'`
+     *                                  - env: {prefix}_LOGFILE_FORMAT
+     * `--logfile-level`      -      - Log file log level.                        - default: `'debug'`
+     *                                  - env: {prefix}_LOGFILE_LEVEL
+     * `--logfile-max-size`   -      - Max log file size in MB before rotating.   - default: `10`
+     *                                  - env: {prefix}_LOGFILE_MAX_SIZE
+     * `--loglevel`           -      - Sets log level.                            - default: `'info'`
+     *                                  - `--loglevel info,rollup=debug` sets log levels per namespace.
+     *                                  - env: {prefix}_LOG_LEVEL
+     * `--metafile`           -      - Archives CLI runtime metafiles.            - default: `false`
+     *                                  - `--metafile=<path>` is shorthand for `--metafile --metafile-dest <path>`.
+     * `--metafile-dest`      -      - Destination directory of metafiles.        - default: CLI log directory
+     *                                  - env: {prefix}_METAFILE_DEST
+     * `--metafile-format`    -      - Metafile format (zip, tar.gz, dir).        - default: `zip` / `tar.gz`
+     *                                  - env: {prefix}_METAFILE_FORMAT
+     * `--metafile-name`      -      - Metafile name template.                    - default: `'logs_{time}'`
+     *                                  - env: {prefix}_METAFILE_NAME
+     * `--metafile-max-age`   -      - Max age in days of metafile archives.      - default: `30`
+     *                                  - env: {prefix}_METAFILE_MAX_AGE
+     * `--metafile-max-count` -      - Max number of metafile archives.           - default: `20`
+     *                                  - env: {prefix}_METAFILE_MAX_COUNT
+     * `--metafile-max-size`  -      - Max total size in MB of metafile archives. - default: `100`
+     *                                  - env: {prefix}_METAFILE_MAX_SIZE
+     * `--no-color`           -      - Output and log with no color.              - default: `false`
+     *                                  - `NO_COLOR`, `FORCE_COLOR` & TTY detection apply when not set.
+     *                                  - env: {prefix}_NO_COLOR; like `NO_COLOR` any non-empty value.
+     * `--noop`               -      - Prints essential bundling info and exits.  - default: `false`
+     * `--quiet`              -      - Suppresses all log output below warnings.  - default: `false`
+     *                                  - env: {prefix}_QUIET
+     * `--replay`             -      - Replays a command run from a metafile.
+     *
+     * Environment variables are bound through the `env` property which is handled by FlagHandler.
      *
      * @returns {object} Standard flags
      */
@@ -109,18 +270,134 @@ declare class DynamicCommandFlags {
 
 /**
  * Provides functionality to load flags from DynamicCommand asynchronously so that they appear in help.
+ *
+ * Dynamic flags are shown grouped under a heading for each plugin that added the flags through FlagHandler. Any bound
+ * environment variable is appended to the flag description and defaults are the current effective defaults including
+ * any environment variable values. The defaults of flags marked `secret` are masked. `--help --json` prints the same data as a single JSON document; root help of a CLI
+ * w/ a default command includes the default command help under `defaultCommand`.
+ *
+ * Root and topic help also load dynamic command data for the listed commands. Each init hook is run once per command
+ * and the results are cached for the process only as plugins may register flags depending on the current working
+ * directory. Command listings show the number of flags each command gains from plugins beyond the standard
+ * DynamicCommandFlags. Any dynamic command w/o plugin flags is marked unavailable and any command that failed to load
+ * is marked as failed.
  */
 declare class DynamicCommandHelp {
+    /**
+     * @param {Interfaces.Config} config - The Oclif config.
+     *
+     * @param {object}            [opts] - Help options.
+     */
+    constructor(config: Interfaces.Config, opts?: object);
+    /**
+     * The flag names grouped by plugin of the command currently being shown.
+     *
+     * @type {Array<{pluginName: string, flags: string[]}>}
+     *
+     * @private
+     */
+    private _flagGroups;
+    /**
+     * When true help is printed as JSON.
+     *
+     * @type {boolean}
+     *
+     * @private
+     */
+    private _json;
+    /**
+     * When true command help JSON is deferred instead of printed.
+     *
+     * @type {boolean}
+     *
+     * @private
+     */
+    private _jsonDefer;
+    /**
+     * Removes any `--json` flag before `--` and enables JSON output before showing help. In JSON mode a single JSON
+     * document is printed; when root help is shown w/ the help of a default command both are combined.
+     *
+     * @param {string[]} argv - The help arguments.
+     *
+     * @returns {Promise<void>}
+     */
+    showHelp(argv: string[]): Promise<void>;
     /**
      * @param {Interfaces.Command} commandConfig - The command config to be loaded.
      */
     showCommandHelp(commandConfig: Interfaces.Command): Promise<void>;
+    _jsonCommand: any;
+    /**
+     * Loads plugin flag summaries for the listed root commands before showing root help.
+     *
+     * @returns {Promise<void>}
+     */
+    showRootHelp(): Promise<void>;
+    /**
+     * Loads plugin flag summaries for the listed topic commands before showing topic help.
+     *
+     * @param {Interfaces.Topic} topic - The topic.
+     *
+     * @returns {Promise<void>}
+     */
+    showTopicHelp(topic: Interfaces.Topic): Promise<void>;
+    /**
+     * Formats a command listing appending the plugin flag summary of each command to the description.
+     *
+     * @param {Interfaces.Command[]} commands - Commands to list.
+     *
+     * @returns {string} Formatted command listing.
+     */
+    formatCommands(commands: Interfaces.Command[]): string;
+    /**
+     * Formats command help w/ flags grouped by plugin.
+     *
+     * @param {Interfaces.Command} command - The command config.
+     *
+     * @returns {string} Formatted command help.
+     */
+    formatCommand(command: Interfaces.Command): string;
 }
 
+/**
+ * Restores any environment variables potentially added or changed as DynamicCommand configuration option and writes
+ * any buffered log file output.
+ */
+declare function finallyHandler(): void;
+
 /**
  * Adds the essential handling from the Oclif error handler with the addition of logging better errors based
  * on stack trace normalization / filtering and lookup for any associated package.json / modules.
  *
+ * The error is always handled synchronously. Writing a crash metafile archive is async, so crash metafiles requested by
+ * the `{prefix}_CRASH_METAFILE` environment variable are only written by `errorHandlerAsync`; a warning is logged when
+ * one is requested here.
+ *
+ * Nested errors from any `cause` chain or `AggregateError.errors` are rendered w/ their own normalized and filtered
+ * trace, UUID and package info up to a depth of 5 nested errors.
+ *
+ * All error output is also written to any log file started by the `--logfile` flag and the log file is flushed before
+ * the process exits.
+ *
+ * When the `{prefix}_ISSUE_DRAFT` environment variable is `true` or `1` a markdown issue draft is written to the CLI
+ * log directory for any uncaught fatal error. The draft includes the error, CLI version, environment, error UUIDs and
+ * trimmed stacks along with an issue URL built from the `bugs` field of the package associated with the filtered stack
+ * which is the package most likely responsible for the error. The draft is redacted like metafile archives and only
+ * the 10 most recent drafts are kept.
+ *
+ * When the `--error-format` flag or `{prefix}_ERROR_FORMAT` environment variable is `json` a single line JSON object
+ * describing the error is written to `stderr` instead of any human readable message. This covers NonFatalError, Oclif
+ * and uncaught errors. The object includes the error type, message, fatal state, exit code, log event, normalized and
+ * filtered error UUIDs / stacks, associated package name, version & bugs URL and any crash metafile archive path.
+ * Informational NonFatalError output logged at `info` such as the `--noop` banner is not an error and is logged as
+ * usual.
+ *
+ * The filtered stack is determined by the trace filters of the global error parser which CLI authors may extend
+ * through ErrorFilterHandler.
+ *
+ * Before any other handling the error is matched against the ErrorMapHandler registry which may define the exit code,
+ * log event and fatal / non-fatal handling of the error.
+ *
  * @param {Error}    error - Error to handle / log.
  *
  * @param {boolean}  [processExit=true] - Set to false to log errors and not exit process except for SIGINT.
@@ -128,10 +405,17 @@ declare class DynamicCommandHelp {
  * @see @typhonjs-utils/error-parser - for filtering capabilities.
  */
 declare function errorHandler(error: Error, processExit?: boolean): void;
-
 /**
- * Removes any temporary environment variables potentially added as DynamicCommand configuration option.
+ * Handles an error like `errorHandler` and resolves once the error is handled. When the `{prefix}_CRASH_METAFILE`
+ * environment variable is `true` or `1` a crash metafile archive is written for any uncaught fatal error before the
+ * error is handled and the archive path is included in the logged error message.
+ *
+ * @param {Error}    error - Error to handle / log.
+ *
+ * @param {boolean}  [processExit=true] - Set to false to log errors and not exit process except for SIGINT.
+ *
+ * @returns {Promise<void>}
  */
-declare function finallyHandler(): void;
+declare function errorHandlerAsync(error: Error, processExit?: boolean): Promise<void>;
 
-export { DynamicCommand, DynamicCommandFlags, DynamicCommandHelp, errorHandler, finallyHandler };
+export { DynamicCommand, DynamicCommandFlags, DynamicCommandHelp, errorHandler, errorHandlerAsync, finallyHandler };